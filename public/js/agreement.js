@@ -0,0 +1,90 @@
+// public/js/agreement.js
+// Do two implementations give the same answer? Used by the CPU comparisons in main.js next to
+// their timings: top-1/top-5 agreement and KL divergence for classifiers, mask IoU for person
+// segmentation, and the max absolute difference between raw WebGPU and WASM outputs.
+// Everything here works on plain typed arrays that have already been read back.
+
+/** Snapshot the current frame into a canvas, so every side of a comparison sees identical pixels. */
+export function snapshotFrame(el) {
+  const w = el.videoWidth || el.naturalWidth || el.width;
+  const h = el.videoHeight || el.naturalHeight || el.height;
+  const c = document.createElement('canvas');
+  c.width = w;
+  c.height = h;
+  c.getContext('2d').drawImage(el, 0, 0, w, h);
+  return c;
+}
+
+export function softmax(logits) {
+  let max = -Infinity;
+  for (const v of logits) if (v > max) max = v;
+  const out = new Float64Array(logits.length);
+  let sum = 0;
+  for (let i = 0; i < logits.length; i++) sum += (out[i] = Math.exp(logits[i] - max));
+  for (let i = 0; i < out.length; i++) out[i] /= sum;
+  return out;
+}
+
+/** Indices of the k largest values, best first. */
+export function topK(values, k) {
+  return Array.from(values.keys()).sort((a, b) => values[b] - values[a]).slice(0, k);
+}
+
+/**
+ * TF-slim ImageNet models (tfjs mobilenet's graph) score 1001 classes with "background" at index 0;
+ * drop it so the scores line up with the 1000 ImageNet classes of labels.txt/torchvision exports.
+ */
+export function imagenet1000(logits) {
+  return logits.length === 1001 ? logits.subarray(1) : logits;
+}
+
+/**
+ * Agreement of a tested classifier with a reference, from raw logits:
+ * { top1: boolean, top5Overlap: 0..1, klDivergence: KL(ref || test) in nats, refTop1, testTop1 }.
+ */
+export function classificationAgreement(refLogits, testLogits, k = 5) {
+  if (refLogits.length !== testLogits.length) throw new Error(`Class counts differ (${refLogits.length} vs ${testLogits.length}); outputs can't be compared`);
+  const ref = softmax(refLogits), test = softmax(testLogits);
+  const refTop = topK(ref, k), testTop = topK(test, k);
+  let kl = 0;
+  for (let i = 0; i < ref.length; i++) {
+    if (ref[i] > 0) kl += ref[i] * Math.log(ref[i] / Math.max(test[i], 1e-12));
+  }
+  return {
+    top1: refTop[0] === testTop[0],
+    top5Overlap: refTop.filter(i => testTop.includes(i)).length / k,
+    klDivergence: kl,
+    refTop1: refTop[0],
+    testTop1: testTop[0],
+  };
+}
+
+/** IoU of two same-size probability maps, each thresholded at `threshold` (1 when both are empty). */
+export function maskIoU(a, b, threshold = 0.5) {
+  if (a.length !== b.length) throw new Error(`Mask sizes differ (${a.length} vs ${b.length})`);
+  let inter = 0, union = 0;
+  for (let i = 0; i < a.length; i++) {
+    const x = a[i] > threshold, y = b[i] > threshold;
+    if (x && y) inter++;
+    if (x || y) union++;
+  }
+  return union ? inter / union : 1;
+}
+
+export function maxAbsDiff(a, b) {
+  if (a.length !== b.length) throw new Error(`Output sizes differ (${a.length} vs ${b.length})`);
+  let max = 0;
+  for (let i = 0; i < a.length; i++) max = Math.max(max, Math.abs(a[i] - b[i]));
+  return max;
+}
+
+/** One-line summary of an agreement record for the comparison status line. */
+export function formatAgreement(a) {
+  if (!a) return '';
+  const parts = [];
+  if (a.top1 !== undefined) parts.push(`top-1 ${a.top1 ? 'agrees' : 'differs'}`, `top-5 overlap ${(a.top5Overlap * 5).toFixed(0)}/5`, `KL ${a.klDivergence.toPrecision(3)}`);
+  if (a.maskIoU !== undefined) parts.push(`mask IoU ${a.maskIoU.toFixed(3)}`);
+  if (a.gpuMaxAbsDiff !== undefined) parts.push(`WebGPU vs WASM max |Δ| ${a.gpuMaxAbsDiff.toExponential(2)}`);
+  else if (a.gpuSkipped) parts.push(`WebGPU vs WASM: ${a.gpuSkipped}`);
+  return parts.join(', ');
+}
@@ -0,0 +1,279 @@
+// public/js/base_runner.js
+// Shared plumbing for every LiteRT runner: TFJS backend selection, asset validation,
+// compile-with-fallback (WebGPU -> WASM), warmup and reporting which accelerator actually ran.
+// Subclasses implement loadAssets() (labels, palettes, decoder state), validateSignature() and run().
+//
+// Input geometry is read from the compiled model's signature at init(): `this.input` holds
+// { height, width, channels, layout: 'NHWC' | 'NCHW', dtype }, and preprocess() adapts to it
+// (non-square inputs included). Configured inputSize/layout are only used for dynamic dims.
+//
+// Fallback policy: a WebGPU request degrades to WASM when WebGPU is unavailable, or when the model
+// fails to compile or warm up on WebGPU (custom ops such as Convolution2DTransposeBias, missing
+// buffer handles, ...). The reason is kept on `fallbackReason` so the UI can say why, and every
+// compile attempt is logged on `compileLog` for the model inspector (model_inspector.js).
+import { loadAndCompile, setWebGpuDevice } from "@litertjs/core";
+import { runWithTfjsTensors } from "@litertjs/tfjs-interop";
+import * as tf from "@tensorflow/tfjs";
+import "@tensorflow/tfjs-backend-webgpu";
+import '@tensorflow/tfjs-backend-wasm';
+import { setWasmPaths } from '@tensorflow/tfjs-backend-wasm';
+import { ensureLiteRtOnce } from "./runtime.js";
+import { loadModelBytes } from "./model_cache.js";
+import { StageTimer, webGpuFence } from "./stage_timer.js";
+
+/** Thrown when a model's inputs/outputs don't fit the task it was bound to. Never triggers a fallback. */
+export class ModelSignatureError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ModelSignatureError';
+  }
+}
+
+const fmtShape = (shape) => `[${Array.from(shape).join(',')}]`;
+
+/**
+ * Work out image geometry from an input tensor's details ({ shape, dtype }).
+ * [1,H,W,3] -> NHWC, [1,3,H,W] -> NCHW. Dynamic dims (<= 0) are filled from `hint`.
+ */
+export function inputGeometry({ shape, dtype }, hint = {}) {
+  const s = Array.from(shape);
+  if (s.length !== 4) throw new ModelSignatureError(`Expected a 4D image input, got ${fmtShape(s)}`);
+  const nchw = s[1] === 3 && s[3] !== 3;
+  const layout = nchw ? 'NCHW' : (s[3] === 3 ? 'NHWC' : hint.layout);
+  if (!layout) throw new ModelSignatureError(`Input ${fmtShape(s)} has no 3-channel axis (expected [1,H,W,3] or [1,3,H,W])`);
+  const [hintH, hintW] = Array.isArray(hint.inputSize) ? hint.inputSize : [hint.inputSize, hint.inputSize];
+  const [dimH, dimW] = layout === 'NCHW' ? [s[2], s[3]] : [s[1], s[2]];
+  const height = dimH > 0 ? dimH : hintH;
+  const width = dimW > 0 ? dimW : hintW;
+  if (!(height > 0 && width > 0)) throw new ModelSignatureError(`Input ${fmtShape(s)} has dynamic height/width and no inputSize was configured`);
+  return { height, width, channels: 3, layout, dtype };
+}
+
+/** TFJS dtype for a model input: TFJS has a single integer dtype, so int32/uint8/int8 inputs all map to int32. */
+export function tensorDtype(dtype) {
+  return /^u?int/.test(String(dtype)) ? 'int32' : 'float32';
+}
+
+/** Scale a [..., 3] float tensor of 0..255 pixels according to a normalization scheme. */
+export function normalizePixels(t, scheme = '0to1') {
+  switch (scheme) {
+    case 'torchvision': {
+      const mean = tf.tensor1d([0.485, 0.456, 0.406]);
+      const std = tf.tensor1d([0.229, 0.224, 0.225]);
+      return t.div(255).sub(mean).div(std);
+    }
+    case 'minus1to1': return t.div(127.5).sub(1);
+    case 'raw':       return t;
+    case '0to1':      return t.div(255);
+    default: throw new Error(`Unknown normalization "${scheme}"`);
+  }
+}
+
+/**
+ * [H,W] int tensor of class ids -> { labels: Uint8Array, width, height } for the mask compositor.
+ * Only the model-resolution map is read back; upsampling happens on the GPU. Disposes `t`.
+ */
+export async function readLabelMap(t) {
+  const [height, width] = t.shape;
+  try {
+    const data = await t.data();
+    return { labels: new Uint8Array(data), width, height };
+  } finally {
+    t.dispose();
+  }
+}
+
+// Errors we expect from WebGPU compilation of models with unsupported ops
+const GPU_COMPILE_FAILURE = /custom op|unresolved custom op|Convolution2DTransposeBias|does not have a buffer handle|buffer handle/i;
+
+export class BaseRunner {
+  constructor({ modelUrl, modelSha256 = null, wasmPath = "/wasm/", accelerator = "webgpu", tfWasmPath = "/tfwasm/", inputSize, layout }) {
+    this.modelUrl = modelUrl;
+    this.modelSha256 = modelSha256;         // optional integrity check (models.json "sha256")
+    this.wasmPath = wasmPath;
+    this.tfWasmPath = tfWasmPath;
+    this.requestedAccelerator = accelerator; // what the caller asked for
+    this.accelerator = accelerator;          // what actually runs: 'webgpu' | 'wasm'
+    this.fallbackReason = null;              // why we ended up on WASM, if we did
+    this.compileLog = [];                    // [{ accelerator, ok, ms, error }] per compile attempt
+    this.model = null;
+    this.backendName = "";
+    this.inputHint = { inputSize, layout }; // only consulted for dynamic dims
+    this.input = null;                      // { height, width, channels, layout, dtype } after init()
+    this.inputDetails = [];
+    this.outputDetails = [];
+    this._warmedUp = false;
+    this.profile = false;                   // per-stage timings; fences GPU work, so off by default
+    this.lastTimings = null;                // { preprocess, execute, postprocess, readback } ms of the last run()
+  }
+
+  /** Tag used in console messages, e.g. "[SegmenterSelfie]". */
+  get tag() {
+    return `[${this.constructor.name}]`;
+  }
+
+  /** Load labels/palettes/etc. Runs after compile, on the final TFJS backend. */
+  async loadAssets() {}
+
+  /**
+   * Check that the compiled model fits this task. Throw ModelSignatureError (via signatureError())
+   * with a message that names the offending shape. Inputs are already validated as images.
+   */
+  validateSignature(/* inputDetails, outputDetails */) {}
+
+  signatureError(msg) {
+    return new ModelSignatureError(`${this.tag} ${this.modelUrl}: ${msg}`);
+  }
+
+  /** Input shape used for the warmup pass, derived from the model signature. */
+  warmupShape() {
+    const { height: h, width: w, layout } = this.input;
+    return layout === 'NCHW' ? [1, 3, h, w] : [1, h, w, 3];
+  }
+
+  /**
+   * Source element -> model input tensor: resize to the model's H x W, normalize, and lay out
+   * as NHWC/NCHW. Integer (int32/uint8) models get raw 0..255 pixels. Call inside tf.tidy().
+   */
+  preprocess(sourceEl, normalization = '0to1') {
+    const { height, width, layout, dtype } = this.input;
+    const img = tf.browser.fromPixels(sourceEl).toFloat();
+    const resized = tf.image.resizeBilinear(img, [height, width]);
+    let x = tensorDtype(dtype) === 'int32' ? resized.round().toInt() : normalizePixels(resized, normalization);
+    x = x.expandDims(0);
+    return layout === 'NCHW' ? x.transpose([0, 3, 1, 2]) : x;
+  }
+
+  async init() {
+    await this.setupBackend(this.accelerator);
+    await ensureLiteRtOnce(this.wasmPath);
+    // one download (or none, from the cache) serves both compile attempts
+    this._modelBytes = await loadModelBytes(this.modelUrl, this.modelSha256);
+    try {
+      await this.compileWithFallback();
+    } finally {
+      this._modelBytes = null;
+    }
+    await this.loadAssets();
+    this.backendName = this.accelerator.toUpperCase();
+  }
+
+  /** Select the TFJS backend that matches the LiteRT accelerator (tensors must live on the same device). */
+  async setupBackend(accelerator) {
+    setWasmPaths(this.tfWasmPath);
+    if (accelerator === 'webgpu' && !('gpu' in navigator)) {
+      this.compileLog.push({ accelerator, ok: false, ms: 0, error: 'WebGPU not supported in this browser' });
+      this._fallBack('WebGPU not supported in this browser');
+      accelerator = 'wasm';
+    }
+    await tf.setBackend(accelerator === 'webgpu' ? 'webgpu' : 'wasm');
+    await tf.ready();
+
+    if (accelerator === 'webgpu') {
+      const backend = tf.backend();
+      if (!backend || !backend.device) throw new Error("Failed to access TFJS WebGPU device.");
+      // IMPORTANT: set device BEFORE compiling the LiteRT model
+      setWebGpuDevice(backend.device);
+    }
+  }
+
+  async compile(accelerator) {
+    const t0 = performance.now();
+    try {
+      this.model = await loadAndCompile(this._modelBytes || this.modelUrl, { accelerator });
+      this.readSignature();
+      this._warmedUp = false;
+      this.warmup();
+    } catch (e) {
+      this.compileLog.push({ accelerator, ok: false, ms: performance.now() - t0, error: String(e?.message || e) });
+      throw e;
+    }
+    this.compileLog.push({ accelerator, ok: true, ms: performance.now() - t0, error: null });
+  }
+
+  /** Read input/output details from the compiled model and configure input geometry. */
+  readSignature() {
+    this.inputDetails = this.model.getInputDetails();
+    this.outputDetails = this.model.getOutputDetails();
+    if (!this.inputDetails.length) throw this.signatureError('model has no inputs');
+    try {
+      this.input = inputGeometry(this.inputDetails[0], this.inputHint);
+    } catch (e) {
+      throw this.signatureError(e.message);
+    }
+    this.validateSignature(this.inputDetails, this.outputDetails);
+  }
+
+  async compileWithFallback() {
+    try {
+      await this.compile(this.accelerator);
+    } catch (e) {
+      // a model that doesn't fit the task won't fit it on WASM either
+      if (this.accelerator !== 'webgpu' || e instanceof ModelSignatureError) throw e;
+      const msg = String(e?.message || e);
+      const kind = GPU_COMPILE_FAILURE.test(msg) ? 'unsupported op on WebGPU' : 'WebGPU compile failed';
+      console.warn(`${this.tag} ${kind}; falling back to WASM.`, e);
+      this.model?.delete?.();
+      this.model = null;
+      this._fallBack(`${kind}: ${msg}`);
+      await this.setupBackend('wasm');
+      await this.compile('wasm');
+    }
+  }
+
+  /** Run once to compile pipelines/shaders and allocate persistent buffers. */
+  warmup() {
+    if (this._warmedUp) return;
+    const shape = this.warmupShape();
+    if (shape) {
+      const warm = tf.tidy(() => tf.zeros(shape, tensorDtype(this.input.dtype)));
+      try {
+        runWithTfjsTensors(this.model, warm).forEach(t => t.dispose());
+      } finally {
+        warm.dispose();
+      }
+    }
+    this._warmedUp = true;
+  }
+
+  /**
+   * Raw model outputs for one frame, read back as typed arrays in output order (no postprocessing).
+   * For numerical comparisons across implementations/accelerators, not for the render loop.
+   */
+  async rawOutputs(sourceEl, normalization = this.normalization || '0to1') {
+    await tf.setBackend(this.accelerator === 'webgpu' ? 'webgpu' : 'wasm'); // another runner may have switched it
+    const outputs = tf.tidy(() => runWithTfjsTensors(this.model, this.preprocess(sourceEl, normalization)));
+    try {
+      return await Promise.all(outputs.map(t => t.data()));
+    } finally {
+      outputs.forEach(t => t.dispose());
+    }
+  }
+
+  /** StageTimer for one run(), or null when profiling is off (runners then skip every mark). */
+  startTimer() {
+    if (!this.profile) return null;
+    const backend = tf.backend();
+    return new StageTimer(this.accelerator === 'webgpu' && backend?.device ? webGpuFence(backend) : null);
+  }
+
+  finishTimer(timer) {
+    if (timer) this.lastTimings = timer.stages;
+  }
+
+  /** Release the compiled model (runners are single-use after this). */
+  dispose() {
+    this.model?.delete?.();
+    this.model = null;
+  }
+
+  /** Human-readable backend for status lines, e.g. "WASM (fallback: WebGPU not supported…)". */
+  describeBackend() {
+    return this.fallbackReason ? `${this.backendName} (fallback: ${this.fallbackReason})` : this.backendName;
+  }
+
+  _fallBack(reason) {
+    this.accelerator = 'wasm';
+    this.fallbackReason = reason;
+  }
+}
@@ -0,0 +1,137 @@
+// public/js/baselines.js
+// Saved benchmark runs (IndexedDB) and regression diffs against a chosen baseline.
+// A saved run is { id, savedAt, tags: { device, litertVersion, note }, report }, where `report` is
+// what makeReport() produced (benchmark, run-all matrix or comparison). Exports wrap the same
+// records as { format: 'litert-bench-runs', version: 1, runs } so teams can share baselines.
+
+const DB_NAME = 'litert-bench';
+const STORE = 'runs';
+export const EXPORT_FORMAT = 'litert-bench-runs';
+
+let dbPromise = null;
+
+function openDb() {
+  dbPromise ||= new Promise((resolve, reject) => {
+    if (!globalThis.indexedDB) return reject(new Error('IndexedDB is not available in this browser.'));
+    const req = indexedDB.open(DB_NAME, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  }).catch((e) => { dbPromise = null; throw e; });
+  return dbPromise;
+}
+
+// One request against the runs store, as a promise
+async function request(mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const req = fn(db.transaction(STORE, mode).objectStore(STORE));
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/** Store a report with its tags; resolves to the new run id. */
+export function saveRun(report, tags = {}) {
+  const { device = '', litertVersion = '', note = '' } = tags;
+  return request('readwrite', s => s.add({ savedAt: new Date().toISOString(), tags: { device, litertVersion, note }, report }));
+}
+
+/** All saved runs, newest first. */
+export async function listRuns() {
+  const runs = await request('readonly', s => s.getAll());
+  return runs.sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+}
+
+export function getRun(id) {
+  return request('readonly', s => s.get(id));
+}
+
+export function deleteRun(id) {
+  return request('readwrite', s => s.delete(id));
+}
+
+/** Export file contents for the given runs (all when `ids` is omitted). */
+export async function exportRuns(ids) {
+  const runs = await listRuns();
+  return { format: EXPORT_FORMAT, version: 1, runs: ids ? runs.filter(r => ids.includes(r.id)) : runs };
+}
+
+/** Add runs from an export file (ids are reassigned). Resolves to the number imported. */
+export async function importRuns(json) {
+  if (json?.format !== EXPORT_FORMAT || !Array.isArray(json.runs)) {
+    throw new Error(`Not a baseline export (expected { format: "${EXPORT_FORMAT}", runs: [...] })`);
+  }
+  let n = 0;
+  for (const { id, ...run } of json.runs) {
+    if (!run.report?.results) continue;
+    await request('readwrite', s => s.add({ ...run, tags: run.tags || {} }));
+    n++;
+  }
+  return n;
+}
+
+/** One-line label for pickers, e.g. "2026-10-19 14:02 • matrix/all • Pixel 8 • LiteRT 0.1.1 • new driver". */
+export function runLabel(run) {
+  const { report, tags = {} } = run;
+  const when = run.savedAt.slice(0, 16).replace('T', ' ');
+  const parts = [when, `${report.kind}/${report.task}`, tags.device, tags.litertVersion && `LiteRT ${tags.litertVersion}`, tags.note];
+  return parts.filter(Boolean).join(' • ');
+}
+
+const pct = (cur, base) => (Number.isFinite(cur) && Number.isFinite(base) && base > 0 ? ((cur - base) / base) * 100 : NaN);
+
+/**
+ * Match results by task + name (name carries backend and input scale) and compare latencies.
+ * Rows: { task, name, base, cur, deltaP50, deltaP90, status } with status 'regression' (p50 slower
+ * by more than `threshold` %), 'improvement', 'same', 'added' (only in current) or 'removed'.
+ */
+export function diffReports(current, baseline, { threshold = 5 } = {}) {
+  const keyed = (report) => new Map(report.results.map(r => [`${r.task ?? report.task}|${r.name}`, r]));
+  const cur = keyed(current);
+  const base = keyed(baseline);
+  const rows = [];
+  for (const [key, c] of cur) {
+    const b = base.get(key);
+    const row = { task: c.task ?? current.task, name: c.name, base: b?.stats || null, cur: c.stats };
+    if (!b || c.error || b.error) {
+      rows.push({ ...row, deltaP50: NaN, deltaP90: NaN, status: b ? 'same' : 'added' });
+      continue;
+    }
+    const deltaP50 = pct(c.stats.p50, b.stats.p50);
+    const deltaP90 = pct(c.stats.p90, b.stats.p90);
+    const status = deltaP50 > threshold ? 'regression' : deltaP50 < -threshold ? 'improvement' : 'same';
+    rows.push({ ...row, deltaP50, deltaP90, status });
+  }
+  for (const [key, b] of base) {
+    if (!cur.has(key)) rows.push({ task: b.task ?? baseline.task, name: b.name, base: b.stats, cur: null, deltaP50: NaN, deltaP90: NaN, status: 'removed' });
+  }
+  return rows;
+}
+
+const ms = (s, k) => (s && Number.isFinite(s[k]) ? s[k].toFixed(1) : '—');
+const signed = (v) => (Number.isFinite(v) ? `${v > 0 ? '+' : ''}${v.toFixed(1)}%` : '—');
+
+/** Fill a <table> with diffReports() rows; regressions and improvements get row classes for highlighting. */
+export function renderDiffTable(table, rows) {
+  const head = document.createElement('tr');
+  for (const h of ['Task', 'Run', 'Baseline p50', 'Current p50', 'Δ p50', 'Δ p90', '']) {
+    const th = document.createElement('th');
+    th.textContent = h;
+    head.appendChild(th);
+  }
+  const order = { regression: 0, improvement: 1, same: 2, added: 3, removed: 4 };
+  const body = [...rows].sort((a, b) => order[a.status] - order[b.status] || (b.deltaP50 || 0) - (a.deltaP50 || 0)).map(r => {
+    const tr = document.createElement('tr');
+    tr.className = `diff--${r.status}`;
+    const cells = [r.task, r.name, ms(r.base, 'p50'), ms(r.cur, 'p50'), signed(r.deltaP50), signed(r.deltaP90),
+      r.status === 'same' ? '' : r.status];
+    for (const text of cells) {
+      const td = document.createElement('td');
+      td.textContent = text;
+      tr.appendChild(td);
+    }
+    return tr;
+  });
+  table.replaceChildren(head, ...body);
+}
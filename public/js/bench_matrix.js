@@ -0,0 +1,217 @@
+// public/js/bench_matrix.js
+// "Run all": every registered task × backend × input scale, to characterize a board in one click.
+// An input scale is the current source drawn into a canvas of that size, refreshed before every
+// iteration outside the timed region. The capture resolution itself is not changed, so the scale
+// measures the cost of the frame size handed to the runner, not of a camera mode.
+//
+// No thread-count dimension: LiteRT's WASM/XNNPACK runtime takes no thread count at compile time,
+// and sizing the TFJS wasm pool only changes preprocessing, so such rows would time the same
+// LiteRT configuration under different labels.
+import { createRunner, listTasks } from "./registry.js";
+import { summarize } from "./bench_stats.js";
+
+export const MATRIX_BACKENDS = ['webgpu', 'wasm'];
+export const MATRIX_SCALES = [[320, 240], [640, 480], [1280, 720]];
+
+/** Runner configurations: one per task × backend. */
+export function matrixConfigs(tasks = listTasks(), { backends = MATRIX_BACKENDS } = {}) {
+  return tasks.flatMap(task => backends.map(backend => ({ task, backend })));
+}
+
+function scaleFrame(canvas, frame, [w, h]) {
+  if (canvas.width !== w || canvas.height !== h) {
+    canvas.width = w;
+    canvas.height = h;
+  }
+  canvas.getContext('2d').drawImage(frame, 0, 0, w, h);
+}
+
+function rowName({ task, backend }, [w, h]) {
+  return `${task.id} ${backend.toUpperCase()} ${w}x${h}`;
+}
+
+/**
+ * Run every config at every input scale. `getFrame()` returns the current source element;
+ * `onProgress(done, total, rows)` fires per cell with the rows so far; `shouldStop()` aborts
+ * between runner configs. `runs`/`warmup` override each task's "bench" settings.
+ * Returns one row per cell: { name, task, taskLabel, requested, accelerator, fallbackReason,
+ * inputScale, modelUrl, input, initMs, warmup, runs, samples, stats }, or { name, ..., error } when the
+ * cell couldn't run (missing model, compile failure...), so one bad task doesn't end the run.
+ */
+export async function runMatrix({ getFrame, configs, scales = MATRIX_SCALES, runs: runsOverride, warmup: warmupOverride, onProgress, shouldStop }) {
+  const canvas = document.createElement('canvas');
+  const rows = [];
+  const total = configs.length * scales.length;
+  let done = 0;
+
+  for (const config of configs) {
+    if (shouldStop?.()) break;
+    const { task, backend } = config;
+    const base = { task: task.id, taskLabel: task.label || task.id, requested: backend };
+
+    let r = null, initMs = 0, initError = null;
+    try {
+      const t0 = performance.now();
+      r = await createRunner(task, { accelerator: backend });
+      await r.init();
+      initMs = performance.now() - t0;
+    } catch (e) {
+      console.error(`[matrix] ${task.id} on ${backend}`, e);
+      initError = String(e?.message || e);
+    }
+
+    const { warmup = 5, runs = 20 } = { ...task.bench, ...(runsOverride && { runs: runsOverride }), ...(warmupOverride !== undefined && { warmup: warmupOverride }) };
+    for (const res of scales) {
+      const name = rowName(config, res);
+      const inputScale = { width: res[0], height: res[1] };
+      if (initError) {
+        rows.push({ name, ...base, inputScale, error: initError });
+        onProgress?.(++done, total, rows);
+        continue;
+      }
+      try {
+        for (let i = 0; i < warmup; i++) {
+          scaleFrame(canvas, getFrame(), res);
+          await r.run(canvas);
+        }
+        const samples = [];
+        for (let i = 0; i < runs; i++) {
+          scaleFrame(canvas, getFrame(), res);
+          const t0 = performance.now();
+          await r.run(canvas);
+          samples.push(performance.now() - t0);
+        }
+        const input = r.input ? { width: r.input.width, height: r.input.height, layout: r.input.layout } : null;
+        rows.push({
+          name, ...base, inputScale, accelerator: r.accelerator, fallbackReason: r.fallbackReason || null,
+          modelUrl: task.modelUrl, input, initMs, warmup, runs, samples, stats: summarize(samples),
+        });
+      } catch (e) {
+        console.error(`[matrix] ${name}`, e);
+        rows.push({ name, ...base, inputScale, error: String(e?.message || e) });
+      }
+      onProgress?.(++done, total, rows);
+    }
+    await r?.dispose?.();
+  }
+  return rows;
+}
+
+// ---- Results view: sortable table + bar chart (p50 with a p90 tick), in the same order ----
+
+const fmt = (v, d = 1) => (Number.isFinite(v) ? v.toFixed(d) : '—');
+
+const COLUMNS = [
+  { key: 'task', label: 'Task', value: r => r.taskLabel },
+  { key: 'backend', label: 'Backend', value: r => backendLabel(r) },
+  { key: 'inputScale', label: 'Input scale', value: r => r.inputScale.width * r.inputScale.height, text: r => `${r.inputScale.width}×${r.inputScale.height}` },
+  { key: 'p50', label: 'p50 ms', value: r => r.stats?.p50, text: r => fmt(r.stats?.p50) },
+  { key: 'p90', label: 'p90 ms', value: r => r.stats?.p90, text: r => fmt(r.stats?.p90) },
+  { key: 'p99', label: 'p99 ms', value: r => r.stats?.p99, text: r => fmt(r.stats?.p99) },
+  { key: 'fps', label: 'FPS', value: r => r.stats?.fps, text: r => fmt(r.stats?.fps) },
+  { key: 'initMs', label: 'Init ms', value: r => r.initMs, text: r => fmt(r.initMs, 0) },
+];
+
+// Requested backend, and what actually ran when it fell back (e.g. WEBGPU→WASM)
+function backendLabel(r) {
+  const req = r.requested.toUpperCase();
+  return r.accelerator && r.accelerator !== r.requested ? `${req}→${r.accelerator.toUpperCase()}` : req;
+}
+
+const BAR_COLORS = { webgpu: '#ffb86b', wasm: '#7fb3ff' };
+
+export class MatrixView {
+  constructor(tableEl, chartCanvas) {
+    this.table = tableEl;
+    this.chart = chartCanvas;
+    this.rows = [];
+    this.sort = { key: 'p50', dir: 1 };
+  }
+
+  setRows(rows) {
+    this.rows = rows;
+    this.render();
+  }
+
+  sortBy(key) {
+    this.sort = { key, dir: this.sort.key === key ? -this.sort.dir : 1 };
+    this.render();
+  }
+
+  sortedRows() {
+    const col = COLUMNS.find(c => c.key === this.sort.key);
+    const { dir } = this.sort;
+    // errored cells (no value) always sink to the bottom
+    return [...this.rows].sort((a, b) => {
+      const va = col.value(a), vb = col.value(b);
+      const na = va === undefined || va === '' || Number.isNaN(va), nb = vb === undefined || vb === '' || Number.isNaN(vb);
+      if (na || nb) return na - nb;
+      return (typeof va === 'string' ? va.localeCompare(vb) : va - vb) * dir;
+    });
+  }
+
+  render() {
+    const rows = this.sortedRows();
+    this.renderTable(rows);
+    this.renderChart(rows);
+  }
+
+  renderTable(rows) {
+    const head = document.createElement('tr');
+    for (const c of COLUMNS) {
+      const th = document.createElement('th');
+      th.textContent = c.label + (this.sort.key === c.key ? (this.sort.dir > 0 ? ' ▲' : ' ▼') : '');
+      th.addEventListener('click', () => this.sortBy(c.key));
+      head.appendChild(th);
+    }
+    const body = rows.map(r => {
+      const tr = document.createElement('tr');
+      if (r.error) {
+        tr.className = 'matrix__error';
+        tr.title = r.error;
+      }
+      for (const c of COLUMNS) {
+        const td = document.createElement('td');
+        td.textContent = r.error && c.key === 'p50' ? 'failed' : (c.text ? c.text(r) : c.value(r));
+        tr.appendChild(td);
+      }
+      return tr;
+    });
+    this.table.replaceChildren(head, ...body);
+  }
+
+  renderChart(rows) {
+    const canvas = this.chart;
+    const dpr = window.devicePixelRatio || 1;
+    const ROW = 18, LABEL_W = 220, PAD = 8;
+    const cssW = canvas.clientWidth || 640;
+    const cssH = PAD * 2 + rows.length * ROW;
+    canvas.width = Math.round(cssW * dpr);
+    canvas.height = Math.round(cssH * dpr);
+    canvas.style.height = `${cssH}px`;
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, cssW, cssH);
+
+    const max = Math.max(1, ...rows.map(r => r.stats?.p90).filter(Number.isFinite));
+    const scale = (cssW - LABEL_W - PAD * 2 - 50) / max;
+    ctx.font = '11px system-ui, sans-serif';
+    ctx.textBaseline = 'middle';
+    rows.forEach((r, i) => {
+      const y = PAD + i * ROW;
+      ctx.fillStyle = '#a8b3d1';
+      ctx.fillText(r.name, PAD, y + ROW / 2, LABEL_W - PAD);
+      if (r.error || !r.stats) {
+        ctx.fillStyle = '#ff6b8a';
+        ctx.fillText('failed', LABEL_W, y + ROW / 2);
+        return;
+      }
+      const w = r.stats.p50 * scale;
+      ctx.fillStyle = BAR_COLORS[r.accelerator] || '#c792ea';
+      ctx.fillRect(LABEL_W, y + 3, w, ROW - 6);
+      ctx.fillStyle = '#e6ecff';
+      ctx.fillRect(LABEL_W + r.stats.p90 * scale, y + 2, 1.5, ROW - 4); // p90 tick
+      ctx.fillText(`${fmt(r.stats.p50)} ms`, LABEL_W + r.stats.p90 * scale + 6, y + ROW / 2);
+    });
+  }
+}
@@ -0,0 +1,142 @@
+// public/js/bench_stats.js
+// Latency statistics and result export for the benchmark/comparison buttons.
+// Every run keeps its per-iteration latencies; reports carry the environment they came from
+// so numbers from different machines can be put side by side.
+import { STAGES } from "./stage_timer.js";
+
+/** Percentile (0..100) of an ascending-sorted array, linearly interpolated. */
+export function percentile(sorted, p) {
+  if (!sorted.length) return NaN;
+  const idx = (p / 100) * (sorted.length - 1);
+  const lo = Math.floor(idx), hi = Math.ceil(idx);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (idx - lo);
+}
+
+/** { n, mean, std, min, p50, p90, p99, max, fps } for latencies in ms (std is the sample std). */
+export function summarize(samples) {
+  const n = samples.length;
+  const sorted = [...samples].sort((a, b) => a - b);
+  const mean = n ? sorted.reduce((a, b) => a + b, 0) / n : NaN;
+  const variance = n > 1 ? sorted.reduce((a, x) => a + (x - mean) ** 2, 0) / (n - 1) : 0;
+  return {
+    n,
+    mean,
+    std: Math.sqrt(variance),
+    min: sorted[0] ?? NaN,
+    p50: percentile(sorted, 50),
+    p90: percentile(sorted, 90),
+    p99: percentile(sorted, 99),
+    max: sorted[n - 1] ?? NaN,
+    fps: 1000 / mean,
+  };
+}
+
+/** Time `fn` `runs` times; returns per-iteration latencies in ms. `onStep` is called after each. */
+export async function timeRuns(fn, runs, onStep) {
+  const samples = [];
+  for (let i = 0; i < runs; i++) {
+    const t0 = performance.now();
+    await fn(i);
+    samples.push(performance.now() - t0);
+    onStep?.(i);
+  }
+  return samples;
+}
+
+const ms = (v) => (Number.isFinite(v) ? v.toFixed(1) : 'N/A');
+
+/** One-line summary for status pills, e.g. "p50 12.1 ms (p90 13.0, p99 15.2, ±0.8) 82.6 FPS". */
+export function formatStats(s) {
+  return `p50 ${ms(s.p50)} ms (min ${ms(s.min)}, p90 ${ms(s.p90)}, p99 ${ms(s.p99)}, max ${ms(s.max)}, σ ${ms(s.std)}) ${ms(s.fps)} FPS`;
+}
+
+/** Per-stage stats over many runs' StageTimer timings: { [stage]: summarize(...) } for the stages seen. */
+export function aggregateStages(timingsList) {
+  const out = {};
+  for (const stage of STAGES) {
+    const samples = timingsList.map(t => t?.[stage]).filter(v => v !== undefined);
+    if (samples.length) out[stage] = summarize(samples);
+  }
+  return out;
+}
+
+/** Mean per stage, e.g. "preprocess 1.2 • execute 6.3 • postprocess 0.4 • readback 2.0 ms". */
+export function formatStages(stages) {
+  const parts = STAGES.filter(s => stages?.[s]).map(s => `${s} ${ms(stages[s].mean)}`);
+  return parts.length ? `${parts.join(' • ')} ms` : '';
+}
+
+/**
+ * A report: { kind, task, createdAt, env, results: [{ name, modelUrl, input, initMs, warmup, runs, stats, samples, stages? }] }.
+ * `stages` (benchmark only) is aggregateStages() over a few separately profiled runs, since the
+ * GPU fences between stages would inflate the headline latencies.
+ * `env` comes from the caller (runtime features, GPU adapter, source) and is merged with the UA.
+ */
+export function makeReport(kind, task, results, env = {}) {
+  return {
+    kind,
+    task,
+    createdAt: new Date().toISOString(),
+    env: { userAgent: navigator.userAgent, ...env },
+    results: results.map(r => ({ ...r, stats: r.stats || summarize(r.samples || []) })),
+  };
+}
+
+const CSV_COLUMNS = [
+  ['kind', (rep) => rep.kind],
+  ['task', (rep, r) => r.task ?? rep.task],
+  ['createdAt', (rep) => rep.createdAt],
+  ['name', (rep, r) => r.name],
+  ['modelUrl', (rep, r) => r.modelUrl ?? ''],
+  ['input', (rep, r) => (r.input ? `${r.input.width}x${r.input.height}` : '')],
+  ['inputScale', (rep, r) => (r.inputScale ? `${r.inputScale.width}x${r.inputScale.height}` : '')],
+  ['initMs', (rep, r) => r.initMs ?? ''],
+  ['runs', (rep, r) => r.stats.n],
+  ...['min', 'p50', 'p90', 'p99', 'max', 'mean', 'std', 'fps'].map(k => [k, (rep, r) => r.stats[k]]),
+  ...STAGES.map(s => [`${s}Ms`, (rep, r) => r.stages?.[s]?.mean ?? '']),
+  ['durationMs', (rep, r) => r.durationMs ?? ''],
+  ['steadyRatio', (rep, r) => r.steadyRatio ?? ''],
+  ['batteryDrainPerHour', (rep, r) => r.battery?.drainPerHour ?? ''],
+  ['top1Agree', (rep, r) => r.agreement?.top1 ?? ''],
+  ['top5Overlap', (rep, r) => r.agreement?.top5Overlap ?? ''],
+  ['klDivergence', (rep, r) => r.agreement?.klDivergence ?? ''],
+  ['maskIoU', (rep, r) => r.agreement?.maskIoU ?? ''],
+  ['gpuMaxAbsDiff', (rep, r) => r.agreement?.gpuMaxAbsDiff ?? ''],
+  ['source', (rep) => (rep.env.source ? `${rep.env.source.kind} ${rep.env.source.width}x${rep.env.source.height}` : '')],
+  ['simd', (rep) => rep.env.runtime?.hasSIMD ?? ''],
+  ['threads', (rep) => rep.env.runtime?.hasThreads ?? ''],
+  ['crossOriginIsolated', (rep) => rep.env.runtime?.crossOriginIsolated ?? ''],
+  ['litertVersion', (rep) => rep.env.runtime?.litertVersion ?? ''],
+  ['gpu', (rep) => [rep.env.gpu?.vendor, rep.env.gpu?.architecture, rep.env.gpu?.device].filter(Boolean).join(' ')],
+  ['userAgent', (rep) => rep.env.userAgent],
+  ['error', (rep, r) => r.error ?? ''],
+];
+
+const csvCell = (v) => {
+  const s = typeof v === 'number' ? (Number.isFinite(v) ? String(+v.toFixed(3)) : '') : String(v ?? '');
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+/** Summary CSV, one row per result (per-iteration samples are in the JSON export). */
+export function reportToCsv(report) {
+  const lines = [CSV_COLUMNS.map(([h]) => h).join(',')];
+  for (const r of report.results) lines.push(CSV_COLUMNS.map(([, get]) => csvCell(get(report, r))).join(','));
+  return lines.join('\n') + '\n';
+}
+
+export function downloadText(filename, text, type = 'text/plain') {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/** Download a report as `<kind>-<task>-<timestamp>.json|csv`. */
+export function downloadReport(report, format = 'json') {
+  const stamp = report.createdAt.replace(/[:.]/g, '-');
+  const base = `${report.kind}-${report.task}-${stamp}`;
+  if (format === 'csv') downloadText(`${base}.csv`, reportToCsv(report), 'text/csv');
+  else downloadText(`${base}.json`, JSON.stringify(report, null, 2), 'application/json');
+}
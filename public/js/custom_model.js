@@ -0,0 +1,133 @@
+// public/js/custom_model.js
+// Bring-your-own .tflite: inspect an uploaded model, suggest which existing postprocessor fits
+// its outputs, and turn the choice into a registry task ("custom") that every part of the app
+// can start, benchmark or run in the worker like a models.json entry.
+//
+// The file never needs to be copied into public/models/: its bytes go into the model cache under
+// /custom-models/<name> (see model_cache.js), so runners load it through the usual path and
+// compile it from memory. The binding itself is kept in sessionStorage, so a reload in the same
+// tab restores it while the cached bytes are still there.
+import { loadAndCompile } from "@litertjs/core";
+import { ensureLiteRtOnce } from "./runtime.js";
+import { putLocalFile, hasCached } from "./model_cache.js";
+import { DECODERS } from "./detection_decoders.js";
+
+export const CUSTOM_TASK_ID = 'custom';
+const CUSTOM_PATH = '/custom-models/';
+const SESSION_KEY = 'litert.customModel';
+
+// Postprocessors a custom model can be bound to: runner class + how its labels are read
+export const POSTPROCESSORS = {
+  classification: { label: 'Classification (top-K)', runner: 'Classifier', type: 'classifier', labels: 'txt' },
+  binary: { label: 'Binary mask', runner: 'SegmenterSelfie', type: 'segmenter' },
+  multiclass: { label: 'Multiclass mask (argmax)', runner: 'SegmenterSelfieMulticlass', type: 'segmenter', labels: 'json' },
+  detection: { label: 'Detection boxes', runner: 'Detector', type: 'detector', labels: 'json' },
+};
+
+export const DECODER_NAMES = Object.keys(DECODERS);
+
+const plain = (d) => ({ name: d.name, shape: Array.from(d.shape || []), dtype: String(d.dtype) });
+
+/** Compile once on WASM to read the signature: { inputs, outputs } as [{ name, shape, dtype }]. */
+export async function inspectModel(bytes, wasmPath = '/wasm/') {
+  await ensureLiteRtOnce(wasmPath);
+  const model = await loadAndCompile(bytes, { accelerator: 'wasm' });
+  try {
+    return { inputs: model.getInputDetails().map(plain), outputs: model.getOutputDetails().map(plain) };
+  } finally {
+    model.delete?.();
+  }
+}
+
+/** Best guess { postprocessor, decoder? } from output shapes; the user can override it. */
+export function suggestBinding({ outputs }) {
+  const shapes = outputs.map(o => o.shape);
+  if (shapes.length >= 4) return { postprocessor: 'detection', decoder: 'ssd-postprocessed' };
+  if (shapes.length >= 2 && shapes.some(s => s.length === 3 && s[2] === 4)) return { postprocessor: 'detection', decoder: 'ssd-anchors' };
+  const s = shapes[0] || [];
+  if (s.length === 3 && Math.min(s[1], s[2]) > 4) return { postprocessor: 'detection', decoder: 'yolo' }; // [1,N,4+C] / [1,4+C,N]
+  if (s.length === 4) {
+    const channels = s[3] <= s[1] ? s[3] : s[1]; // NHWC, else NCHW
+    return { postprocessor: channels > 1 ? 'multiclass' : 'binary' };
+  }
+  return { postprocessor: 'classification' };
+}
+
+const slug = (name) => name.replace(/[^\w.-]+/g, '_');
+
+/** Labels from a .txt (one per line) or .json (array, or { classes }) file. */
+export async function readLabels(file) {
+  const text = await file.text();
+  if (/\.json$/i.test(file.name) || file.type === 'application/json') {
+    const json = JSON.parse(text);
+    const list = Array.isArray(json) ? json : json.classes;
+    if (!Array.isArray(list)) throw new Error(`${file.name}: expected a JSON array of labels or { "classes": [...] }`);
+    return list.map(String);
+  }
+  return text.split(/\r?\n/).map(s => s.trim()).filter(Boolean);
+}
+
+/**
+ * Store the model (and labels) and build the task entry.
+ * binding: { postprocessor, decoder, normalization, labels: string[] | null }; `normalization`
+ * is the classifier's input scaling ('torchvision' | 'minus1to1' | '0to1').
+ */
+export async function createCustomTask(file, bytes, { postprocessor, decoder, normalization, labels = null }) {
+  const spec = POSTPROCESSORS[postprocessor];
+  if (!spec) throw new Error(`Unknown postprocessor "${postprocessor}"`);
+  const modelUrl = `${CUSTOM_PATH}${slug(file.name)}`;
+  await putLocalFile(modelUrl, bytes, 'application/octet-stream');
+
+  const task = {
+    id: CUSTOM_TASK_ID,
+    label: `Custom: ${file.name} (${spec.label})`,
+    type: spec.type,
+    runner: spec.runner,
+    modelUrl,
+    custom: { file: file.name, postprocessor, decoder: decoder || null, labelCount: labels?.length || 0 },
+    defaults: {},
+    bench: { warmup: 5, runs: 20 },
+  };
+  if (postprocessor === 'classification') task.normalization = normalization || 'torchvision';
+  if (postprocessor === 'detection') task.defaults.decoder = decoder || 'ssd-postprocessed';
+  if (postprocessor === 'multiclass') task.defaults.overlayAlpha = 0.75;
+
+  if (labels?.length && spec.labels) {
+    const url = `${modelUrl}.labels.${spec.labels}`;
+    const body = spec.labels === 'txt' ? labels.join('\n') : JSON.stringify(labels);
+    await putLocalFile(url, new TextEncoder().encode(body), spec.labels === 'txt' ? 'text/plain' : 'application/json');
+    task.labels = url;
+  } else if (spec.labels) {
+    // runners fall back to class_<i> names; null keeps them from loading the default model's labels
+    task.defaults[postprocessor === 'multiclass' ? 'classLabelsUrl' : 'labelsUrl'] = null;
+  }
+  return task;
+}
+
+export function saveBinding(task) {
+  try {
+    sessionStorage.setItem(SESSION_KEY, JSON.stringify(task));
+  } catch {}
+}
+
+/** The task bound earlier in this tab, if its model is still cached; otherwise null. */
+export async function restoreBinding() {
+  let task = null;
+  try {
+    task = JSON.parse(sessionStorage.getItem(SESSION_KEY) || 'null');
+  } catch {}
+  if (!task?.modelUrl || !(await hasCached(task.modelUrl))) return null;
+  return task;
+}
+
+export function clearBinding() {
+  try {
+    sessionStorage.removeItem(SESSION_KEY);
+  } catch {}
+}
+
+/** Human-readable signature, one tensor per line. */
+export function describeSignature({ inputs, outputs }) {
+  const line = (d) => `  ${d.name || '?'} [${d.shape.join(',')}] ${d.dtype}`;
+  return ['inputs:', ...inputs.map(line), 'outputs:', ...outputs.map(line)].join('\n');
+}
@@ -0,0 +1,300 @@
+// public/js/detection_decoders.js
+// Pluggable output decoders for Detector. Each decoder turns the raw model outputs (TFJS tensors)
+// into a small set of candidates on the CPU:
+//   { boxes: Float32Array (N*4, [ymin,xmin,ymax,xmax] normalized 0..1), scores: Float32Array, classes: Int32Array }
+// Heavy lifting (activation, per-class max, top-K pre-filter) stays on the TFJS backend so only
+// ~preNmsTopK rows are read back per frame. NMS is shared and applied by Detector afterwards.
+// validate(outputDetails) returns a problem string when the model's outputs don't fit the decoder.
+// When Detector is profiling, ctx.timer is a StageTimer; decoders mark 'postprocess' for their GPU
+// work and 'readback' after data().
+import * as tf from "@tensorflow/tfjs";
+import { fetchCached } from "./model_cache.js";
+
+const PRE_NMS_TOP_K = 300;
+
+// Read back the selected candidates: boxes [K,4], scores [K], classes [K]
+async function readCandidates(boxes, scores, classes, timer) {
+  await timer?.mark('postprocess');
+  const [b, s, c] = await Promise.all([boxes.data(), scores.data(), classes.data()]);
+  await timer?.mark('readback');
+  boxes.dispose(); scores.dispose(); classes.dispose();
+  return { boxes: Float32Array.from(b), scores: Float32Array.from(s), classes: Int32Array.from(c) };
+}
+
+// Keep the top-K rows by score; boxes [N,4], scores [N], classes [N]
+function topKRows(boxes, scores, classes, k) {
+  const n = scores.shape[0];
+  const { indices } = tf.topk(scores, Math.min(n, k));
+  return {
+    boxes: tf.gather(boxes, indices),
+    scores: tf.gather(scores, indices),
+    classes: tf.gather(classes, indices),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// SSD with the TFLite_Detection_PostProcess op: [boxes, classes, scores, num]
+// boxes: [1,N,4] (ymin,xmin,ymax,xmax) normalized; classes/scores: [1,N]; num: [1]
+// ---------------------------------------------------------------------------
+export const ssdPostprocessed = {
+  name: 'ssd-postprocessed',
+  validate(outputs) {
+    if (outputs.length < 4) return `ssd-postprocessed expects 4 outputs [boxes, classes, scores, num], model has ${outputs.length}`;
+  },
+  async decode(outputs, ctx) {
+    if (outputs.length < 4) throw new Error(`ssd-postprocessed expects 4 outputs [boxes, classes, scores, num], got ${outputs.length}`);
+    const [b, c, s, n] = outputs;
+    const count = (await n.data())[0] | 0;
+    const [boxesArr, classesArr, scoresArr] = await Promise.all([b.data(), c.data(), s.data()]);
+    await ctx?.timer?.mark('readback');
+    const num = Math.min(count || scoresArr.length, scoresArr.length);
+    return {
+      boxes: Float32Array.from(boxesArr.subarray(0, num * 4)),
+      scores: Float32Array.from(scoresArr.subarray(0, num)),
+      classes: Int32Array.from(classesArr.subarray(0, num), v => v | 0),
+    };
+  },
+};
+
+// ---------------------------------------------------------------------------
+// Raw YOLO head: [1, N, 4+C] (v8) or [1, N, 5+C] (v5, with objectness).
+// Ultralytics TFLite exports also come transposed as [1, 4+C, N]; we detect that by N > rows.
+// Boxes are (cx, cy, w, h), either normalized or in input pixels.
+// Options: hasObjectness ('auto' | bool), applySigmoid (bool), numClasses (defaults to labels.length),
+//          normalized (bool; probed from the first frame when omitted)
+// ---------------------------------------------------------------------------
+export const yoloRaw = {
+  name: 'yolo',
+  validate(outputs) {
+    const shape = outputs[0]?.shape || [];
+    if (shape.length !== 3) return `yolo expects a [1,N,4+C] output, got [${Array.from(shape)}]`;
+  },
+  async decode(outputs, ctx) {
+    const out = outputs[0];
+    if (out.shape.length !== 3) throw new Error(`yolo expects a [1,N,4+C] output, got [${out.shape}]`);
+    const opts = ctx.options;
+    // -> [N, D]
+    const toRows = () => {
+      const rows = out.squeeze([0]);
+      return rows.shape[0] < rows.shape[1] ? rows.transpose([1, 0]) : rows;
+    };
+
+    // Exports differ: some emit boxes in input pixels, some 0..1. Probe once on the first frame.
+    if (ctx.state.pixelCoords === undefined) {
+      if (opts.normalized !== undefined) {
+        ctx.state.pixelCoords = !opts.normalized;
+      } else {
+        const m = tf.tidy(() => toRows().slice([0, 0], [-1, 4]).max());
+        ctx.state.pixelCoords = (await m.data())[0] > 2;
+        m.dispose();
+      }
+    }
+
+    const { boxes, scores, classes } = tf.tidy(() => {
+      const rows = toRows();
+      const D = rows.shape[1];
+
+      const numClasses = opts.numClasses || ctx.labels.length || (D - 4);
+      let hasObj = opts.hasObjectness;
+      if (hasObj === undefined || hasObj === 'auto') hasObj = (D - 5 === numClasses);
+      const clsStart = hasObj ? 5 : 4;
+      if (D - clsStart < 1) throw new Error(`yolo: output row size ${D} leaves no class scores`);
+
+      let clsScores = rows.slice([0, clsStart], [-1, D - clsStart]);
+      if (opts.applySigmoid) clsScores = tf.sigmoid(clsScores);
+      if (hasObj) {
+        let obj = rows.slice([0, 4], [-1, 1]);
+        if (opts.applySigmoid) obj = tf.sigmoid(obj);
+        clsScores = clsScores.mul(obj);
+      }
+
+      // xywh -> normalized yxyx
+      const xywh = rows.slice([0, 0], [-1, 4]);
+      const [cx, cy, w, h] = tf.split(xywh, 4, 1);
+      const sx = ctx.state.pixelCoords ? 1 / ctx.inputWidth : 1;
+      const sy = ctx.state.pixelCoords ? 1 / ctx.inputHeight : 1;
+      const yxyx = tf.concat([
+        cy.sub(h.div(2)).mul(sy), cx.sub(w.div(2)).mul(sx),
+        cy.add(h.div(2)).mul(sy), cx.add(w.div(2)).mul(sx),
+      ], 1);
+
+      return topKRows(yxyx, clsScores.max(1), clsScores.argMax(1), PRE_NMS_TOP_K);
+    });
+    return readCandidates(boxes, scores, classes, ctx.timer);
+  },
+};
+
+// ---------------------------------------------------------------------------
+// SSD / EfficientDet-Lite exported without the postprocess op:
+// raw box encodings [1,N,4] (ty,tx,th,tw) + class scores [1,N,C], decoded against anchors.
+// Options:
+//   anchors: 'ssd' | 'efficientdet' | { url } (JSON [[ycenter,xcenter,h,w],...]) — default 'ssd'
+//   anchorOptions: overrides for the generator (see generateSsdAnchors / generateEfficientDetAnchors)
+//   boxScales: [y,x,h,w] — default [10,10,5,5] for SSD, [1,1,1,1] for EfficientDet
+//   scoreActivation: 'sigmoid' | 'softmax' | 'none' — default 'sigmoid'
+//   hasBackground: drop class 0 — default true for SSD, false for EfficientDet
+// ---------------------------------------------------------------------------
+export const ssdAnchors = {
+  name: 'ssd-anchors',
+  validate(outputs) {
+    const hasBoxes = outputs.some(o => o.shape.length === 3 && o.shape[2] === 4);
+    if (outputs.length < 2 || !hasBoxes) return 'ssd-anchors expects [1,N,4] box and [1,N,C] score outputs';
+  },
+  async prepare(ctx) {
+    const o = ctx.options;
+    const kind = o.anchors || 'ssd';
+    let list;
+    if (kind && typeof kind === 'object' && kind.url) {
+      const res = await fetchCached(kind.url);
+      if (!res.ok) throw new Error(`Anchors file missing: ${kind.url} (HTTP ${res.status})`);
+      list = await res.json();
+    } else if (kind === 'efficientdet') {
+      list = generateEfficientDetAnchors({ inputHeight: ctx.inputHeight, inputWidth: ctx.inputWidth, ...o.anchorOptions });
+    } else {
+      list = generateSsdAnchors({ inputHeight: ctx.inputHeight, inputWidth: ctx.inputWidth, ...o.anchorOptions });
+    }
+    ctx.state.anchors = tf.tensor2d(list.flat(), [list.length, 4]);
+    ctx.state.boxScales = o.boxScales || (kind === 'efficientdet' ? [1, 1, 1, 1] : [10, 10, 5, 5]);
+    ctx.state.hasBackground = o.hasBackground ?? (kind !== 'efficientdet');
+  },
+  async decode(outputs, ctx) {
+    const { anchors, boxScales, hasBackground } = ctx.state;
+    // The box output is the one whose last dim is 4; the other is class scores.
+    const boxOut = outputs.find(t => t.shape[t.shape.length - 1] === 4);
+    const scoreOut = outputs.find(t => t !== boxOut);
+    if (!boxOut || !scoreOut) throw new Error('ssd-anchors expects [1,N,4] box and [1,N,C] score outputs');
+    if (boxOut.shape[1] !== anchors.shape[0]) {
+      throw new Error(`ssd-anchors: model has ${boxOut.shape[1]} boxes but ${anchors.shape[0]} anchors were generated`);
+    }
+
+    const { boxes, scores, classes } = tf.tidy(() => {
+      const raw = boxOut.squeeze([0]);                       // [N,4]
+      const [ty, tx, th, tw] = tf.split(raw, 4, 1);
+      const [ya, xa, ha, wa] = tf.split(anchors, 4, 1);
+      const [sy, sx, sh, sw] = boxScales;
+      const yc = ty.div(sy).mul(ha).add(ya);
+      const xc = tx.div(sx).mul(wa).add(xa);
+      const h = tf.exp(th.div(sh)).mul(ha);
+      const w = tf.exp(tw.div(sw)).mul(wa);
+      const yxyx = tf.concat([
+        yc.sub(h.div(2)), xc.sub(w.div(2)),
+        yc.add(h.div(2)), xc.add(w.div(2)),
+      ], 1);
+
+      let cls = scoreOut.squeeze([0]);                       // [N,C]
+      const act = ctx.options.scoreActivation || 'sigmoid';
+      if (act === 'sigmoid') cls = tf.sigmoid(cls);
+      else if (act === 'softmax') cls = tf.softmax(cls);
+      if (hasBackground) cls = cls.slice([0, 1], [-1, -1]);
+
+      return topKRows(yxyx, cls.max(1), cls.argMax(1), PRE_NMS_TOP_K);
+    });
+    return readCandidates(boxes, scores, classes, ctx.timer);
+  },
+  dispose(ctx) {
+    ctx.state.anchors?.dispose();
+    ctx.state.anchors = null;
+  },
+};
+
+export const DECODERS = {
+  [ssdPostprocessed.name]: ssdPostprocessed,
+  [yoloRaw.name]: yoloRaw,
+  [ssdAnchors.name]: ssdAnchors,
+};
+
+export function getDecoder(name) {
+  const d = DECODERS[name];
+  if (!d) throw new Error(`Unknown detection decoder "${name}". Known: ${Object.keys(DECODERS).join(', ')}`);
+  return d;
+}
+
+/**
+ * SSD MobileNet anchors (same scheme as MediaPipe's SsdAnchorsCalculator).
+ * Returns [[ycenter, xcenter, h, w], ...] normalized; 1917 anchors for the default 300x300 config.
+ */
+export function generateSsdAnchors({
+  inputHeight = 300,
+  inputWidth = 300,
+  numLayers = 6,
+  minScale = 0.2,
+  maxScale = 0.95,
+  strides = [16, 32, 64, 128, 256, 512],
+  aspectRatios = [1.0, 2.0, 0.5, 3.0, 0.3333],
+  anchorOffset = 0.5,
+  reduceBoxesInLowestLayer = true,
+  interpolatedScaleAspectRatio = 1.0,
+  fixedAnchorSize = false,
+} = {}) {
+  const scaleAt = (i) => numLayers === 1 ? (minScale + maxScale) / 2 : minScale + (maxScale - minScale) * i / (numLayers - 1);
+  const anchors = [];
+  let layer = 0;
+  while (layer < numLayers) {
+    const ars = [], scales = [];
+    let last = layer;
+    // layers sharing a stride share one feature map
+    while (last < numLayers && strides[last] === strides[layer]) {
+      const scale = scaleAt(last);
+      if (last === 0 && reduceBoxesInLowestLayer) {
+        ars.push(1.0, 2.0, 0.5);
+        scales.push(0.1, scale, scale);
+      } else {
+        for (const ar of aspectRatios) { ars.push(ar); scales.push(scale); }
+        if (interpolatedScaleAspectRatio > 0) {
+          const next = last === numLayers - 1 ? 1.0 : scaleAt(last + 1);
+          ars.push(interpolatedScaleAspectRatio);
+          scales.push(Math.sqrt(scale * next));
+        }
+      }
+      last++;
+    }
+    const sizes = ars.map((ar, i) => [scales[i] / Math.sqrt(ar), scales[i] * Math.sqrt(ar)]);
+    const fmH = Math.ceil(inputHeight / strides[layer]);
+    const fmW = Math.ceil(inputWidth / strides[layer]);
+    for (let y = 0; y < fmH; y++) {
+      for (let x = 0; x < fmW; x++) {
+        for (const [h, w] of sizes) {
+          anchors.push([(y + anchorOffset) / fmH, (x + anchorOffset) / fmW, fixedAnchorSize ? 1 : h, fixedAnchorSize ? 1 : w]);
+        }
+      }
+    }
+    layer = last;
+  }
+  return anchors;
+}
+
+/**
+ * EfficientDet multi-level grid anchors (levels 3..7, 3 octave scales x 3 aspect ratios).
+ * Returns [[ycenter, xcenter, h, w], ...] normalized to the input size.
+ */
+export function generateEfficientDetAnchors({
+  inputHeight = 320,
+  inputWidth = 320,
+  minLevel = 3,
+  maxLevel = 7,
+  numScales = 3,
+  aspectRatios = [1.0, 2.0, 0.5],
+  anchorScale = 4.0,
+} = {}) {
+  const anchors = [];
+  for (let level = minLevel; level <= maxLevel; level++) {
+    const stride = 2 ** level;
+    const fmH = Math.ceil(inputHeight / stride);
+    const fmW = Math.ceil(inputWidth / stride);
+    const sizes = [];
+    for (let s = 0; s < numScales; s++) {
+      const base = anchorScale * stride * 2 ** (s / numScales);
+      for (const ar of aspectRatios) {
+        sizes.push([base / Math.sqrt(ar) / inputHeight, base * Math.sqrt(ar) / inputWidth]);
+      }
+    }
+    for (let y = 0; y < fmH; y++) {
+      for (let x = 0; x < fmW; x++) {
+        const yc = (y + 0.5) * stride / inputHeight;
+        const xc = (x + 0.5) * stride / inputWidth;
+        for (const [h, w] of sizes) anchors.push([yc, xc, h, w]);
+      }
+    }
+  }
+  return anchors;
+}
@@ -1,127 +1,123 @@
-import { loadLiteRt, loadAndCompile, setWebGpuDevice } from "@litertjs/core";
 import { runWithTfjsTensors } from "@litertjs/tfjs-interop";
 import * as tf from "@tensorflow/tfjs";
-import "@tensorflow/tfjs-backend-webgpu";
-import '@tensorflow/tfjs-backend-wasm';
-import { setWasmPaths } from '@tensorflow/tfjs-backend-wasm';
-
-async function assertAsset(url) {
-  const res = await fetch(url, { method: 'GET' });
-  if (!res.ok) throw new Error(`Asset not found or not served: ${url} (HTTP ${res.status})`);
-  const ct = res.headers.get('content-type') || '';
-  if (ct.includes('text/html')) throw new Error(`Unexpected HTML at ${url}. Did you place the file under public/models/?`);
-  return url;
-}
-
-const NUM_DETECTIONS = 100; // common for SSD MobileNet V2
-
-export class Detector {
-  constructor({ modelUrl, labelsUrl, wasmPath, accelerator = 'webgpu' }) {
-    this.modelUrl = modelUrl;
+import { BaseRunner } from "./base_runner.js";
+import { nonMaxSuppression } from "./nms.js";
+import { getDecoder } from "./detection_decoders.js";
+import { fetchCached } from "./model_cache.js";
+
+export class Detector extends BaseRunner {
+  constructor({
+    modelUrl,
+    modelSha256,
+    labelsUrl,
+    wasmPath,
+    accelerator = 'webgpu',
+    scoreThreshold = 0.5,            // drop detections below this score (live-tunable)
+    iouThreshold = 0.45,             // NMS overlap threshold
+    maxDetections = 20,              // cap after NMS
+    inputSize,                       // only for dynamic-size models; otherwise read from the signature
+    layout,
+    normalization = '0to1',          // SSD MobileNet exports take [0,1]; models.json can declare another scheme
+    decoder = 'ssd-postprocessed',   // 'ssd-postprocessed' | 'yolo' | 'ssd-anchors' (see detection_decoders.js)
+    decoderOptions = {},
+  }) {
+    super({ modelUrl, modelSha256, wasmPath, accelerator, inputSize, layout });
     this.labelsUrl = labelsUrl;
-    this.wasmPath = wasmPath;
-    this.accelerator = accelerator; // 'webgpu' | 'wasm'
-    this.model = null;
+    this.normalization = normalization;
+    this.scoreThreshold = scoreThreshold;
+    this.iouThreshold = iouThreshold;
+    this.maxDetections = maxDetections;
+    this.decoder = getDecoder(decoder);
+    this.decoderOptions = decoderOptions;
+    this._decoderCtx = null;
     this.labels = [];
-    this.backendName = "";
     this.type = 'detector';
   }
 
-  async init() {
-    // Init TFJS backend based on requested accelerator
-    setWasmPaths('/tfwasm/')
-    if (this.accelerator === 'webgpu') {
-      if (!('gpu' in navigator)) {
-        throw new Error("WebGPU not supported in this browser. Try Chrome/Edge 121+");
-      }
-      await tf.setBackend('webgpu');
-    } else {
-      await tf.setBackend('cpu');
-    }
-    await tf.ready();
-
-    // Init LiteRT runtime (loads Wasm assets regardless)
-    await loadLiteRt(this.wasmPath);
-
-    if (this.accelerator === 'webgpu') {
-      const backend = tf.backend();
-      if (!backend || !backend.device) {
-        throw new Error("Failed to access TFJS WebGPU device.");
-      }
-      setWebGpuDevice(backend.device);
+  async loadAssets() {
+    // without labels, detections are named by class id
+    if (this.labelsUrl) {
+      const labelsRes = await fetchCached(this.labelsUrl);
+      if (!labelsRes.ok) throw new Error(`Labels file missing: ${this.labelsUrl} (HTTP ${labelsRes.status})`);
+      this.labels = await labelsRes.json();
     }
 
-    // Ensure model asset exists and is not HTML
-    await assertAsset(this.modelUrl);
-
-    // Load model + labels
-    this.model = await loadAndCompile(this.modelUrl, { accelerator: this.accelerator });
-    const labelsRes = await fetch(this.labelsUrl);
-    if (!labelsRes.ok) throw new Error(`Labels file missing: ${this.labelsUrl} (HTTP ${labelsRes.status})`);
-    this.labels = await labelsRes.json();
+    // Per-model decoder state (e.g. anchors) lives in this context
+    this.decoder.dispose?.(this._decoderCtx || { state: {} });
+    this._decoderCtx = {
+      options: this.decoderOptions,
+      labels: this.labels,
+      inputHeight: this.input.height,
+      inputWidth: this.input.width,
+      state: {},
+    };
+    await this.decoder.prepare?.(this._decoderCtx);
+  }
 
-    this.backendName = this.accelerator.toUpperCase();
+  // Each decoder knows which output signature it can read
+  validateSignature(inputs, outputs) {
+    const problem = this.decoder.validate?.(outputs);
+    if (problem) throw this.signatureError(`${problem}. Try a different "decoder" for this model.`);
   }
 
   /**
    * Run detection on a HTMLVideoElement (or canvas/image)
-   * Returns [{bbox:[x,y,w,h], classId, label, score}]
+   * Returns [{bbox:[x,y,w,h], classId, label, score}] above scoreThreshold, after class-aware NMS.
    */
   async run(sourceEl) {
     if (!this.model) return [];
-
-    // Wrap pre/post with tf.tidy for GC of intermediate tensors
-    const { boxes, classes, scores, count } = tf.tidy(() => {
-      // Preprocess: from video -> normalized tensor [1,H,W,3]
-      const inputH = 300; // typical SSD size; adjust to your model
-      const inputW = 300;
-      const img = tf.browser.fromPixels(sourceEl).toFloat();
-      const resized = tf.image.resizeBilinear(img, [inputH, inputW]);
-      const normalized = resized.div(255).reshape([1, inputH, inputW, 3]).transpose([0,3,1,2]); // NHWC->NCHW
-
-      // Run model
-      const outputs = runWithTfjsTensors(this.model, normalized);
-      // Expect: [boxes, classes, scores, num]
-      // boxes: [1, N, 4] (ymin,xmin,ymax,xmax) in normalized coords
-      // classes: [1, N] (int)
-      // scores: [1, N]
-      // num: [1]
-      const b = outputs[0];
-      const c = outputs[1];
-      const s = outputs[2];
-      const n = outputs[3];
-      return { boxes: b, classes: c, scores: s, count: n };
-    });
-
-    // Read back small outputs to CPU
-    const n = (await count.data())[0] | 0;
-    const num = Math.min(n || NUM_DETECTIONS, NUM_DETECTIONS);
-    const boxesArr = await boxes.data();
-    const classesArr = await classes.data();
-    const scoresArr = await scores.data();
-
-    boxes.dispose(); classes.dispose(); scores.dispose(); count.dispose();
+    const timer = this.startTimer();
+
+    // Preprocess: from video -> [0,1] tensor in the model's size/layout
+    const input = tf.tidy(() => this.preprocess(sourceEl, this.normalization));
+    await timer?.mark('preprocess');
+    const outputs = tf.tidy(() => runWithTfjsTensors(this.model, input));
+    input.dispose();
+    await timer?.mark('execute');
+
+    // Decoder reads back only the candidates it needs (and marks postprocess/readback itself)
+    let cand;
+    try {
+      this._decoderCtx.timer = timer;
+      cand = await this.decoder.decode(outputs, this._decoderCtx);
+    } finally {
+      outputs.forEach(t => t.dispose());
+    }
 
     // Map to objects with pixel coords relative to sourceEl
     const W = sourceEl.videoWidth || sourceEl.width;
     const H = sourceEl.videoHeight || sourceEl.height;
 
+    const { boxes: boxesArr, classes: classesArr, scores: scoresArr } = cand;
     const dets = [];
-    for (let i = 0; i < num; i++) {
+    for (let i = 0; i < scoresArr.length; i++) {
+      const score = scoresArr[i];
+      if (!(score >= this.scoreThreshold)) continue; // also drops NaN
+
       const yMin = boxesArr[i*4 + 0];
       const xMin = boxesArr[i*4 + 1];
       const yMax = boxesArr[i*4 + 2];
       const xMax = boxesArr[i*4 + 3];
       const cls = classesArr[i] | 0;
-      const score = scoresArr[i];
 
-      const x = xMin * W;
-      const y = yMin * H;
-      const w = (xMax - xMin) * W;
-      const h = (yMax - yMin) * H;
+      // clamp to the frame; some exports emit slightly out-of-range coords
+      const x = Math.max(0, xMin) * W;
+      const y = Math.max(0, yMin) * H;
+      const w = (Math.min(1, xMax) - Math.max(0, xMin)) * W;
+      const h = (Math.min(1, yMax) - Math.max(0, yMin)) * H;
+      if (w <= 0 || h <= 0) continue;
 
       dets.push({ bbox: [x, y, w, h], classId: cls, label: this.labels[cls] || String(cls), score });
     }
-    return dets;
+    const kept = nonMaxSuppression(dets, { iouThreshold: this.iouThreshold, maxDetections: this.maxDetections });
+    await timer?.mark('postprocess');
+    this.finishTimer(timer);
+    return kept;
   }
-}
\ No newline at end of file
+
+  dispose() {
+    if (this._decoderCtx) this.decoder.dispose?.(this._decoderCtx);
+    this._decoderCtx = null;
+    super.dispose();
+  }
+}
@@ -9,14 +9,31 @@ export function drawTopK(canvas, topK) {
   });
 }
 
+// `video` may also be a canvas/image (still-image sources)
 export function resizeCanvasToVideo(canvas, video) {
-  if (canvas.width !== video.videoWidth || canvas.height !== video.videoHeight) {
-    canvas.width = video.videoWidth;
-    canvas.height = video.videoHeight;
+  const w = video.videoWidth || video.width || 0;
+  const h = video.videoHeight || video.height || 0;
+  if (canvas.width !== w || canvas.height !== h) {
+    canvas.width = w;
+    canvas.height = h;
   }
 }
 
-export function drawSegmentationOverlay(canvas, video, rgba, w, h, alpha = 0.5) {
+// CPU fallback for MaskCompositor: label map + palette -> RGBA at mask resolution (class colors at
+// 220 alpha, scaled by the soft-mask alpha when present)
+export function colorizeLabels({ labels, alpha, width, height, palette }) {
+  const rgba = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    const c = palette[labels[i]];
+    if (!c) continue; // transparent
+    const j = i * 4;
+    rgba[j] = c[0] | 0; rgba[j + 1] = c[1] | 0; rgba[j + 2] = c[2] | 0;
+    rgba[j + 3] = alpha ? (220 * alpha[i]) / 255 : 220;
+  }
+  return rgba;
+}
+
+export function drawSegmentationOverlay(canvas, video, rgba, w, h, alpha = 0.5, smooth = false) {
   const ctx = canvas.getContext('2d');
   // base video frame
   ctx.clearRect(0, 0, canvas.width, canvas.height);
@@ -39,6 +56,58 @@ export function drawSegmentationOverlay(canvas, video, rgba, w, h, alpha = 0.5)
 
   ctx.save();
   ctx.globalAlpha = alpha;
+  ctx.imageSmoothingEnabled = smooth; // nearest for hard labels, bilinear for soft masks
   ctx.drawImage(off, 0, 0, canvas.width, canvas.height);
   ctx.restore();
-}
\ No newline at end of file
+}
+
+// Stable, well-separated color per class id (golden-angle hue walk)
+export function classColor(classId) {
+  const hue = ((classId | 0) * 137.508) % 360;
+  return `hsl(${hue.toFixed(1)}, 85%, 55%)`;
+}
+
+export function drawDetections(canvas, dets) {
+  const ctx = canvas.getContext('2d');
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+  ctx.lineWidth = 3;
+  ctx.font = "16px sans-serif";
+  ctx.textBaseline = "top";
+  for (const d of dets) {
+    const [x, y, w, h] = d.bbox;
+    const color = classColor(d.classId);
+    ctx.strokeStyle = color;
+    ctx.strokeRect(x, y, w, h);
+
+    // label chip above the box (or inside it when the box touches the top edge)
+    const text = `${d.label} ${(d.score * 100).toFixed(0)}%`;
+    const tw = ctx.measureText(text).width + 8;
+    const ty = y >= 20 ? y - 20 : y;
+    ctx.fillStyle = color;
+    ctx.fillRect(x, ty, tw, 20);
+    ctx.fillStyle = "black";
+    ctx.fillText(text, x + 4, ty + 2);
+  }
+}
+
+// Legend of the classes present in the current segmentation frame: [{ label, color:[r,g,b], fraction }]
+export function drawSegLegend(el, present) {
+  if (!el) return;
+  if (!present || !present.length) {
+    el.style.display = 'none';
+    el.replaceChildren();
+    return;
+  }
+  el.style.display = '';
+  el.replaceChildren(...present.map(({ label, color, fraction }) => {
+    const row = document.createElement('div');
+    row.className = 'legend__item';
+    const sw = document.createElement('span');
+    sw.className = 'legend__swatch';
+    sw.style.background = `rgb(${color[0]}, ${color[1]}, ${color[2]})`;
+    const txt = document.createElement('span');
+    txt.textContent = `${label} ${(fraction * 100).toFixed(0)}%`;
+    row.append(sw, txt);
+    return row;
+  }));
+}
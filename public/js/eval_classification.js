@@ -0,0 +1,150 @@
+// public/js/eval_classification.js
+// Accuracy of a Classifier over a labeled image set: top-1/top-5, a per-class summary with the
+// class each one is most often confused with, and the most confident mistakes. The quickest way to
+// tell whether an export wants torchvision mean/std or [-1,1] input: the wrong one loses most of
+// its top-1 accuracy.
+//
+// Labels: a class index into the runner's labels (0-based, labels.txt order) or a label name,
+// matched against the whole line or its first comma-separated name, case-insensitively.
+// Folders: <folder>/<label>/<image>, the subfolder naming the label the same way.
+import { isImageFile, relativeParts, fileItem, loadBitmap } from "./eval_data.js";
+
+export const DEFAULT_CLASSIFICATION_MANIFEST = '/eval/classification.json';
+const WORST = 24;
+
+/** Class index for a ground-truth label (index or name), or -1 when it isn't in `labels`. */
+export function resolveLabel(label, labels) {
+  if (typeof label === 'number' || /^\d+$/.test(String(label).trim())) {
+    const i = Number(label);
+    return labels.length && i >= labels.length ? -1 : i;
+  }
+  const want = String(label).trim().toLowerCase();
+  const i = labels.findIndex(l => l.toLowerCase() === want || l.split(',')[0].trim().toLowerCase() === want);
+  return i;
+}
+
+/** Items from a picked folder laid out as <label>/<image>. */
+export function classificationItemsFromFiles(files) {
+  const items = [];
+  for (const f of files) {
+    const parts = relativeParts(f);
+    if (parts.length >= 2 && isImageFile(f)) items.push(fileItem(f, { label: parts[parts.length - 2] }));
+  }
+  if (!items.length) throw new Error('No images found: expected <folder>/<label>/<image> files');
+  return items;
+}
+
+/**
+ * Run `runner` (a Classifier, topK >= 5) over `items` ({ name, src, file?, label }).
+ * onProgress(done, total); shouldStop() ends early with the items done so far.
+ * Resolves to { n, top1, top5, nonFinite, skipped, perClass, worst, items }.
+ */
+export async function runClassificationEval({ runner, items, onProgress, shouldStop }) {
+  const labels = runner.labels || [];
+  const name = (i) => labels[i] ?? `class_${i}`;
+  const rows = [];
+  const skipped = [];
+
+  for (const [k, item] of items.entries()) {
+    if (shouldStop?.()) break;
+    const truth = resolveLabel(item.label, labels);
+    if (truth < 0) {
+      skipped.push({ name: item.name, reason: `unknown label "${item.label}"` });
+      onProgress?.(k + 1, items.length);
+      continue;
+    }
+    let bitmap;
+    try {
+      bitmap = await loadBitmap(item.file || item.src);
+    } catch (e) {
+      skipped.push({ name: item.name, reason: String(e?.message || e) });
+      onProgress?.(k + 1, items.length);
+      continue;
+    }
+    const t0 = performance.now();
+    const out = await runner.run(bitmap);
+    const ms = performance.now() - t0;
+    bitmap.close();
+    const top5 = out.filter(o => o.index !== undefined).slice(0, 5).map(o => ({ index: o.index, prob: o.prob }));
+    const rank = top5.findIndex(o => o.index === truth); // -1: not in the top 5
+    rows.push({ name: item.name, src: item.src, truth, top5, rank, ms });
+    onProgress?.(k + 1, items.length);
+  }
+
+  const n = rows.length;
+  const perClass = new Map();
+  for (const r of rows) {
+    const c = perClass.get(r.truth) || { index: r.truth, label: name(r.truth), n: 0, top1: 0, top5: 0, confused: new Map() };
+    c.n++;
+    if (r.rank === 0) c.top1++;
+    if (r.rank >= 0) c.top5++;
+    const predicted = r.top5[0]?.index;
+    if (r.rank !== 0 && predicted !== undefined) c.confused.set(predicted, (c.confused.get(predicted) || 0) + 1);
+    perClass.set(r.truth, c);
+  }
+
+  return {
+    n,
+    top1: n ? rows.filter(r => r.rank === 0).length / n : NaN,
+    top5: n ? rows.filter(r => r.rank >= 0).length / n : NaN,
+    nonFinite: rows.filter(r => !r.top5.length).length, // "Model produced NaNs": wrong normalization
+    meanMs: n ? rows.reduce((a, r) => a + r.ms, 0) / n : NaN,
+    skipped,
+    perClass: [...perClass.values()].map(({ confused, ...c }) => {
+      const [index, count] = [...confused].sort((a, b) => b[1] - a[1])[0] || [];
+      return { ...c, top1: c.top1 / c.n, top5: c.top5 / c.n, confusedWith: index === undefined ? null : { index, label: name(index), count } };
+    }).sort((a, b) => (a.top1 - b.top1) || (b.n - a.n)),
+    // most confident mistakes first
+    worst: rows.filter(r => r.rank !== 0 && r.top5.length)
+      .sort((a, b) => b.top5[0].prob - a.top5[0].prob)
+      .slice(0, WORST)
+      .map(r => ({ name: r.name, src: r.src, truth: r.truth, truthLabel: name(r.truth), predicted: r.top5[0].index, predictedLabel: name(r.top5[0].index), prob: r.top5[0].prob, truthRank: r.rank })),
+    items: rows.map(({ src, ...r }) => r),
+  };
+}
+
+const pct = (x) => (Number.isFinite(x) ? `${(x * 100).toFixed(1)}%` : '—');
+
+function cell(tag, text) {
+  const el = document.createElement(tag);
+  el.textContent = text;
+  return el;
+}
+
+/** Summary line, per-class table (worst classes first) and a gallery of confident mistakes. */
+export function renderClassificationEval(el, result) {
+  const summary = document.createElement('p');
+  summary.className = 'eval__summary';
+  summary.textContent = `${result.n} images • top-1 ${pct(result.top1)} • top-5 ${pct(result.top5)} • ${result.meanMs.toFixed(1)} ms/image` +
+    (result.nonFinite ? ` • ${result.nonFinite} produced NaNs (check the normalization)` : '') +
+    (result.skipped.length ? ` • ${result.skipped.length} skipped` : '');
+
+  const table = document.createElement('table');
+  table.className = 'matrix__table';
+  const head = document.createElement('tr');
+  for (const h of ['class', 'images', 'top-1', 'top-5', 'most often predicted instead']) head.append(cell('th', h));
+  table.append(head, ...result.perClass.map(c => {
+    const tr = document.createElement('tr');
+    tr.append(cell('td', c.label), cell('td', String(c.n)), cell('td', pct(c.top1)), cell('td', pct(c.top5)),
+      cell('td', c.confusedWith ? `${c.confusedWith.label} (${c.confusedWith.count})` : ''));
+    return tr;
+  }));
+  const tableWrap = document.createElement('div');
+  tableWrap.className = 'eval__scroll';
+  tableWrap.append(table);
+
+  const gallery = document.createElement('div');
+  gallery.className = 'eval__gallery';
+  gallery.append(...result.worst.map(w => {
+    const fig = document.createElement('figure');
+    const img = document.createElement('img');
+    img.src = w.src;
+    img.alt = w.name;
+    img.loading = 'lazy';
+    fig.title = w.name;
+    fig.append(img, cell('figcaption', `${w.predictedLabel} ${pct(w.prob)} — truth: ${w.truthLabel}${w.truthRank > 0 ? ` (#${w.truthRank + 1})` : ''}`));
+    return fig;
+  }));
+
+  el.replaceChildren(summary, tableWrap, cell('h3', 'Most confident mistakes'), gallery);
+}
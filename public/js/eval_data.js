@@ -0,0 +1,50 @@
+// public/js/eval_data.js
+// Labeled data for the evaluation modes (eval_classification.js, ...): a JSON manifest served
+// from public/eval/, or a folder picked in the browser. Items are
+// { name, src, file?, ...fields from the manifest }; `src` is a URL for manifests and an object URL
+// for picked files (kept for thumbnails until releaseItems()).
+
+/**
+ * Manifest: { "images": [{ "src": "val/0001.jpg", ... }] } or a bare array. `src` (and any other
+ * field named in `urlFields`, e.g. a ground-truth mask) is resolved relative to the manifest URL.
+ */
+export async function loadEvalManifest(url, urlFields = ['src']) {
+  const res = await fetch(url, { cache: 'no-cache' });
+  if (!res.ok) throw new Error(`Eval manifest not found: ${url} (HTTP ${res.status}). Put one under public/eval/ or pick a folder.`);
+  if ((res.headers.get('content-type') || '').includes('text/html')) throw new Error(`Unexpected HTML at ${url}; is the manifest under public/eval/?`);
+  const json = await res.json();
+  const list = Array.isArray(json) ? json : json.images;
+  if (!Array.isArray(list) || !list.length) throw new Error(`${url} must be { "images": [...] } with at least one entry`);
+  const base = new URL(url, location.href);
+  return list.map((entry, i) => {
+    if (!entry.src) throw new Error(`${url}: entry ${i} has no "src"`);
+    const item = { ...entry, name: entry.name || entry.src };
+    for (const f of urlFields) if (entry[f]) item[f] = new URL(entry[f], base).href;
+    return item;
+  });
+}
+
+export const isImageFile = (f) => /\.(jpe?g|png|webp|bmp|gif)$/i.test(f.name);
+
+/** Path segments of a picked file below the chosen folder, e.g. ['goldfish', 'img1.jpg']. */
+export function relativeParts(file) {
+  return (file.webkitRelativePath || file.name).split('/').slice(1);
+}
+
+/** Item for a picked file; `fields` are merged in (labels, masks, ...). */
+export function fileItem(file, fields = {}) {
+  return { name: file.webkitRelativePath || file.name, src: URL.createObjectURL(file), file, ...fields };
+}
+
+/** Revoke the object URLs of picked-file items. */
+export function releaseItems(items = []) {
+  for (const it of items) if (it.file && it.src.startsWith('blob:')) URL.revokeObjectURL(it.src);
+}
+
+/** Decode an item's image (or any URL/File) into an ImageBitmap for the runners. */
+export async function loadBitmap(srcOrFile) {
+  if (srcOrFile instanceof Blob) return createImageBitmap(srcOrFile);
+  const res = await fetch(srcOrFile);
+  if (!res.ok) throw new Error(`Image not found: ${srcOrFile} (HTTP ${res.status})`);
+  return createImageBitmap(await res.blob());
+}
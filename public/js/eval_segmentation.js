@@ -0,0 +1,291 @@
+// public/js/eval_segmentation.js
+// Quality of SegmenterSelfie / SegmenterSelfieMulticlass against ground-truth masks: per-class
+// IoU, mIoU, pixel accuracy and boundary F-score, plus the worst frames for a side-by-side look.
+//
+// Ground truth is a PNG per image, class id in the red channel, compared at the mask's own
+// resolution (predictions are upsampled nearest-neighbour). Binary (selfie) masks: any non-zero
+// value is "person", so 0/1 and 0/255 masks both work. Multiclass masks: 255 is "ignore".
+// Folders: <folder>/images/<name>.<jpg|png> with <folder>/masks/<name>.png.
+import { isImageFile, relativeParts, fileItem, loadBitmap } from "./eval_data.js";
+import { colorizeLabels } from "./draw.js";
+
+export const DEFAULT_SEGMENTATION_MANIFEST = '/eval/segmentation.json';
+export const EVAL_SEGMENTERS = ['SegmenterSelfie', 'SegmenterSelfieMulticlass'];
+const IGNORE = 255;
+const WORST = 12;
+const BOUNDARY_TOLERANCE = 0.0075; // of the image diagonal, as in the usual BF-score setup
+
+const stem = (name) => name.replace(/\.[^.]+$/, '');
+
+/** Items from a picked folder with images/ and masks/ subfolders, paired by file name. */
+export function segmentationItemsFromFiles(files) {
+  const masks = new Map();
+  for (const f of files) {
+    const parts = relativeParts(f);
+    if (parts.length >= 2 && parts[parts.length - 2] === 'masks' && /\.png$/i.test(f.name)) masks.set(stem(f.name), f);
+  }
+  const items = [];
+  for (const f of files) {
+    const parts = relativeParts(f);
+    const mask = masks.get(stem(f.name));
+    if (parts.length >= 2 && parts[parts.length - 2] === 'images' && isImageFile(f) && mask) {
+      items.push({ ...fileItem(f), maskFile: mask });
+    }
+  }
+  if (!items.length) throw new Error('No image/mask pairs found: expected <folder>/images/<name>.jpg and <folder>/masks/<name>.png');
+  return items;
+}
+
+/** Ground-truth mask -> { labels: Uint8Array, width, height } (red channel; binary: non-zero = 1). */
+export async function loadMask(srcOrFile, binary) {
+  const blob = srcOrFile instanceof Blob ? srcOrFile : await (await fetch(srcOrFile)).blob();
+  // no colour management or premultiplication: the values are class ids, not colours
+  const bitmap = await createImageBitmap(blob, { colorSpaceConversion: 'none', premultiplyAlpha: 'none' });
+  const { width, height } = bitmap;
+  const ctx = new OffscreenCanvas(width, height).getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(bitmap, 0, 0);
+  bitmap.close();
+  const rgba = ctx.getImageData(0, 0, width, height).data;
+  const labels = new Uint8Array(width * height);
+  for (let i = 0; i < labels.length; i++) {
+    const v = rgba[i * 4];
+    labels[i] = binary ? (v > 0 ? 1 : 0) : v;
+  }
+  return { labels, width, height };
+}
+
+/** Nearest-neighbour resize of a label map. */
+export function resizeLabels({ labels, width: w, height: h }, width, height) {
+  if (w === width && h === height) return labels;
+  const out = new Uint8Array(width * height);
+  for (let y = 0; y < height; y++) {
+    const row = Math.min(h - 1, Math.floor(((y + 0.5) * h) / height)) * w;
+    for (let x = 0; x < width; x++) out[y * width + x] = labels[row + Math.min(w - 1, Math.floor(((x + 0.5) * w) / width))];
+  }
+  return out;
+}
+
+// Pixels whose right or lower neighbour has a different (non-ignored) label
+function boundaries(labels, width, height) {
+  const b = new Uint8Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x, v = labels[i];
+      if (v === IGNORE) continue;
+      if (x + 1 < width && labels[i + 1] !== v && labels[i + 1] !== IGNORE) b[i] = 1;
+      else if (y + 1 < height && labels[i + width] !== v && labels[i + width] !== IGNORE) b[i] = 1;
+    }
+  }
+  return b;
+}
+
+// Square dilation by radius r (two separable passes over running counts)
+function dilate(mask, width, height, r) {
+  const tmp = new Uint8Array(mask.length), out = new Uint8Array(mask.length);
+  for (let y = 0; y < height; y++) {
+    let count = 0;
+    const row = y * width;
+    for (let x = 0; x < Math.min(r, width); x++) count += mask[row + x];
+    for (let x = 0; x < width; x++) {
+      if (x + r < width) count += mask[row + x + r];
+      if (x - r - 1 >= 0) count -= mask[row + x - r - 1];
+      tmp[row + x] = count > 0 ? 1 : 0;
+    }
+  }
+  for (let x = 0; x < width; x++) {
+    let count = 0;
+    for (let y = 0; y < Math.min(r, height); y++) count += tmp[y * width + x];
+    for (let y = 0; y < height; y++) {
+      if (y + r < height) count += tmp[(y + r) * width + x];
+      if (y - r - 1 >= 0) count -= tmp[(y - r - 1) * width + x];
+      out[y * width + x] = count > 0 ? 1 : 0;
+    }
+  }
+  return out;
+}
+
+/** Class-agnostic boundary F-score with a tolerance of `r` pixels (1 when neither has boundaries). */
+export function boundaryF(pred, gt, width, height, r) {
+  const pb = boundaries(pred, width, height), gb = boundaries(gt, width, height);
+  const pd = dilate(pb, width, height, r), gd = dilate(gb, width, height, r);
+  let nP = 0, nG = 0, hitP = 0, hitG = 0;
+  for (let i = 0; i < pb.length; i++) {
+    if (pb[i]) { nP++; if (gd[i]) hitP++; }
+    if (gb[i]) { nG++; if (pd[i]) hitG++; }
+  }
+  if (!nP && !nG) return 1;
+  if (!nP || !nG) return 0;
+  const precision = hitP / nP, recall = hitG / nG;
+  return precision + recall ? (2 * precision * recall) / (precision + recall) : 0;
+}
+
+// IoU per class from a C x C confusion matrix (rows: truth, columns: prediction); NaN if absent from both
+function iouPerClass(conf, C) {
+  return Array.from({ length: C }, (_, c) => {
+    let row = 0, col = 0;
+    for (let k = 0; k < C; k++) {
+      row += conf[c * C + k];
+      col += conf[k * C + c];
+    }
+    const union = row + col - conf[c * C + c];
+    return union ? conf[c * C + c] / union : NaN;
+  });
+}
+
+const meanFinite = (xs) => {
+  const f = xs.filter(Number.isFinite);
+  return f.length ? f.reduce((a, b) => a + b, 0) / f.length : NaN;
+};
+
+/** Number of classes a segmenter predicts, from its output signature ([1,H,W,C] or [1,C,H,W]). */
+export function classCount(runner, binary) {
+  if (binary) return 2;
+  const s = Array.from(runner.outputDetails[0]?.shape || []);
+  return s[3] <= s[1] ? s[3] : s[1];
+}
+
+/**
+ * Run `runner` (soft mask and smoothing off) over `items` ({ name, src, mask | maskFile }).
+ * `binary`: a SegmenterSelfie (person vs background). onProgress(done, total); shouldStop() ends early.
+ * Resolves to { n, classes: [{ index, label, iou, share }], mIoU, pixelAccuracy, boundaryF,
+ * meanMs, skipped, palette, worst, items }. `worst` entries carry a `preview` label map for the
+ * gallery (left out of downloads).
+ */
+export async function runSegmentationEval({ runner, items, binary, classNames, onProgress, shouldStop }) {
+  const C = classCount(runner, binary);
+  const names = Array.from({ length: C }, (_, c) => classNames?.[c] ?? (binary ? ['background', 'person'][c] : `class_${c}`));
+  const conf = new Float64Array(C * C);
+  const rows = [];
+  const kept = []; // rows that still hold a preview: the WORST lowest mIoU so far
+  const skipped = [];
+  let outOfRange = 0;
+
+  for (const [k, item] of items.entries()) {
+    if (shouldStop?.()) break;
+    try {
+      const bitmap = await loadBitmap(item.file || item.src);
+      const t0 = performance.now();
+      const pred = await runner.run(bitmap);
+      const ms = performance.now() - t0;
+      bitmap.close();
+      const gt = await loadMask(item.maskFile || item.mask, binary);
+      const p = resizeLabels(pred, gt.width, gt.height);
+
+      const local = new Float64Array(C * C);
+      for (let i = 0; i < p.length; i++) {
+        const t = gt.labels[i];
+        if (t === IGNORE) continue;
+        if (t >= C) { outOfRange++; continue; }
+        local[t * C + p[i]]++;
+      }
+      for (let i = 0; i < conf.length; i++) conf[i] += local[i];
+      let correct = 0, total = 0;
+      for (let c = 0; c < C; c++) correct += local[c * C + c];
+      for (const v of local) total += v;
+
+      const r = Math.max(1, Math.round(BOUNDARY_TOLERANCE * Math.hypot(gt.width, gt.height)));
+      const row = {
+        name: item.name, src: item.src, mask: item.mask, maskFile: item.maskFile,
+        mIoU: meanFinite(iouPerClass(local, C)),
+        pixelAccuracy: total ? correct / total : NaN,
+        boundaryF: boundaryF(p, gt.labels, gt.width, gt.height, r),
+        ms,
+        preview: { labels: pred.labels.slice(), width: pred.width, height: pred.height },
+      };
+      rows.push(row);
+      kept.push(row);
+      if (kept.length > WORST) {
+        kept.sort((a, b) => a.mIoU - b.mIoU);
+        delete kept.pop().preview;
+      }
+    } catch (e) {
+      skipped.push({ name: item.name, reason: String(e?.message || e) });
+    }
+    onProgress?.(k + 1, items.length);
+  }
+
+  const ious = iouPerClass(conf, C);
+  let correct = 0, total = 0;
+  for (let c = 0; c < C; c++) correct += conf[c * C + c];
+  for (const v of conf) total += v;
+  const gtPixels = (c) => { let s = 0; for (let k = 0; k < C; k++) s += conf[c * C + k]; return s; };
+
+  return {
+    n: rows.length,
+    classes: names.map((label, c) => ({ index: c, label, iou: ious[c], share: total ? gtPixels(c) / total : 0 })),
+    mIoU: meanFinite(ious),
+    pixelAccuracy: total ? correct / total : NaN,
+    boundaryF: meanFinite(rows.map(r => r.boundaryF)),
+    boundaryTolerance: BOUNDARY_TOLERANCE,
+    meanMs: meanFinite(rows.map(r => r.ms)),
+    outOfRangePixels: outOfRange,
+    skipped,
+    binary,
+    palette: runner.palette,
+    worst: kept.sort((a, b) => a.mIoU - b.mIoU),
+    items: rows.map(({ src, mask, maskFile, preview, ...r }) => r),
+  };
+}
+
+const pct = (x) => (Number.isFinite(x) ? `${(x * 100).toFixed(1)}%` : '—');
+
+function cell(tag, text) {
+  const el = document.createElement(tag);
+  el.textContent = text;
+  return el;
+}
+
+// Image with a label overlay, scaled to `width` CSS pixels
+function overlayCanvas(bitmap, { labels, width, height }, palette, cssWidth = 220) {
+  const c = document.createElement('canvas');
+  c.width = cssWidth;
+  c.height = Math.round((cssWidth * bitmap.height) / bitmap.width);
+  const ctx = c.getContext('2d');
+  ctx.drawImage(bitmap, 0, 0, c.width, c.height);
+  const mask = new OffscreenCanvas(width, height);
+  mask.getContext('2d').putImageData(new ImageData(colorizeLabels({ labels, width, height, palette }), width, height), 0, 0);
+  ctx.imageSmoothingEnabled = false;
+  ctx.globalAlpha = 0.6;
+  ctx.drawImage(mask, 0, 0, c.width, c.height);
+  return c;
+}
+
+/** Summary, per-class IoU table and the worst frames (prediction | ground truth). */
+export async function renderSegmentationEval(el, result) {
+  const summary = document.createElement('p');
+  summary.className = 'eval__summary';
+  summary.textContent = `${result.n} images • mIoU ${pct(result.mIoU)} • pixel accuracy ${pct(result.pixelAccuracy)} • ` +
+    `boundary F ${pct(result.boundaryF)} • ${result.meanMs.toFixed(1)} ms/image` +
+    (result.outOfRangePixels ? ` • ${result.outOfRangePixels} mask pixels had unknown class ids` : '') +
+    (result.skipped.length ? ` • ${result.skipped.length} skipped` : '');
+
+  const table = document.createElement('table');
+  table.className = 'matrix__table';
+  const head = document.createElement('tr');
+  for (const h of ['class', 'IoU', 'share of pixels']) head.append(cell('th', h));
+  table.append(head, ...result.classes.map(c => {
+    const tr = document.createElement('tr');
+    tr.append(cell('td', c.label), cell('td', pct(c.iou)), cell('td', pct(c.share)));
+    return tr;
+  }));
+
+  const gallery = document.createElement('div');
+  gallery.className = 'eval__gallery eval__gallery--pairs';
+  el.replaceChildren(summary, table, cell('h3', 'Worst frames (prediction | ground truth)'), gallery);
+
+  const palette = result.palette || [];
+  for (const w of result.worst) {
+    try {
+      const bitmap = await loadBitmap(w.src);
+      const gt = await loadMask(w.maskFile || w.mask, result.binary);
+      const fig = document.createElement('figure');
+      fig.title = w.name;
+      fig.append(overlayCanvas(bitmap, w.preview, palette), overlayCanvas(bitmap, gt, palette),
+        cell('figcaption', `${w.name} • mIoU ${pct(w.mIoU)} • boundary F ${pct(w.boundaryF)}`));
+      bitmap.close();
+      gallery.append(fig);
+    } catch (e) {
+      console.warn('[eval] preview failed', w.name, e);
+    }
+  }
+}
@@ -0,0 +1,112 @@
+// public/js/inference_worker.js
+// Module worker hosting one runner (plus its LiteRT/TFJS runtimes) off the main thread.
+// Driven by WorkerRunner (worker_runner.js). Every request carries an `id`; replies echo it:
+//   init    { task, options, canvas? } -> { runnerType, backendName, accelerator, fallbackReason, compileLog, rendersOverlay }
+//   frame   { frame, alpha, background? } -> { result, ms, timings }   (segmenters draw into the OffscreenCanvas)
+//   set     { props }                    -> {}                (live settings: threshold, mask, effect, background, profile)
+//   dispose                              -> {}                (then the worker closes itself)
+// Failures reply { type: 'error', message }.
+import { createRunner } from "./registry.js";
+import { MaskCompositor } from "./mask_compositor.js";
+
+let runner = null;
+let canvas = null;      // OffscreenCanvas transferred from the page (segmentation output)
+let compositor = null;  // MaskCompositor on `canvas`, if WebGL2 is available in workers
+
+// TFJS reads ImageBitmaps; VideoFrames are converted (and closed) here
+async function toBitmap(frame) {
+  if (typeof VideoFrame !== 'undefined' && frame instanceof VideoFrame) {
+    try {
+      return await createImageBitmap(frame);
+    } finally {
+      frame.close();
+    }
+  }
+  return frame;
+}
+
+async function setBackground(frame) {
+  if (!compositor) return frame?.close?.();
+  const prev = compositor.background;
+  compositor.setBackground(frame ? await toBitmap(frame) : null);
+  prev?.close?.();
+}
+
+const handlers = {
+  async init({ task, options, canvas: offscreen }) {
+    runner = await createRunner(task, options); // the entry itself: it may not be in models.json
+    await runner.init();
+    canvas = offscreen || null;
+    if (canvas && runner.type === 'segmenter') {
+      try {
+        compositor = new MaskCompositor(canvas);
+      } catch (e) {
+        console.warn('[worker] WebGL2 unavailable in worker; masks go back to the page.', e);
+      }
+    }
+    return {
+      runnerType: runner.type,
+      backendName: runner.backendName,
+      accelerator: runner.accelerator,
+      fallbackReason: runner.fallbackReason,
+      compileLog: runner.compileLog,
+      rendersOverlay: !!compositor,
+    };
+  },
+
+  async frame({ frame, alpha = 0.5, background }) {
+    const bitmap = await toBitmap(frame);
+    try {
+      const t0 = performance.now();
+      const result = await runner.run(bitmap);
+      const ms = performance.now() - t0;
+      const timings = runner.profile ? runner.lastTimings : null;
+      if (runner.type !== 'segmenter' || !compositor) return { result, ms, timings };
+
+      if (background) await setBackground(background); // video backgrounds come with every frame
+      if (canvas.width !== bitmap.width || canvas.height !== bitmap.height) {
+        canvas.width = bitmap.width;
+        canvas.height = bitmap.height;
+      }
+      const tDraw = performance.now();
+      compositor.render(bitmap, result, { alpha });
+      if (timings) {
+        compositor.finish();
+        timings.draw = performance.now() - tDraw;
+      }
+      return { result: { rendered: true, width: result.width, height: result.height, present: result.present }, ms, timings };
+    } finally {
+      bitmap.close();
+    }
+  },
+
+  async set({ props }) {
+    const { scoreThreshold, mask, effect, background, profile } = props;
+    if (scoreThreshold !== undefined) runner.scoreThreshold = scoreThreshold;
+    if (profile !== undefined) runner.profile = profile;
+    if (mask) runner.setMaskOptions?.(mask);
+    if (effect) compositor?.setEffect(effect);
+    if (background !== undefined) await setBackground(background);
+    return {};
+  },
+
+  async dispose() {
+    runner?.dispose();
+    runner = null;
+    compositor = null;
+    setTimeout(() => self.close(), 0);
+    return {};
+  },
+};
+
+self.onmessage = async ({ data }) => {
+  const { id, type } = data;
+  try {
+    const handler = handlers[type];
+    if (!handler) throw new Error(`Unknown message "${type}"`);
+    self.postMessage({ id, type: 'ok', ...(await handler(data)) });
+  } catch (e) {
+    console.error('[worker]', e);
+    self.postMessage({ id, type: 'error', message: String(e?.message || e) });
+  }
+};
@@ -1,10 +1,41 @@
-import { setupWebcam } from "./webcam.js";
-import { Classifier } from "./classifier.js";
-import { drawTopK, resizeCanvasToVideo, drawSegmentationOverlay } from "./draw.js";
+import { openSource, kindForFile } from "./sources.js";
+import { listCameras } from "./webcam.js";
+import { runtimeFeatures } from "./runtime.js";
+import { summarize, timeRuns, formatStats, makeReport, downloadReport, downloadText, aggregateStages, formatStages } from "./bench_stats.js";
+import { STAGES } from "./stage_timer.js";
+import { matrixConfigs, runMatrix, MatrixView } from "./bench_matrix.js";
+import { runSustained, coolDown, drawSustainedChart } from "./sustained.js";
+import { listCached, clearCaches, hasCached } from "./model_cache.js";
+import { inspectTaskModel, compileOutcome, probeAccelerators, renderModelInfo, renderCompileReport } from "./model_inspector.js";
+import { POSTPROCESSORS, DECODER_NAMES, CUSTOM_TASK_ID, inspectModel, suggestBinding, readLabels, createCustomTask, saveBinding, restoreBinding, describeSignature } from "./custom_model.js";
+import { parseBenchParams, fetchFixture, postReport, setBenchState } from "./unattended.js";
+import { saveRun, listRuns, getRun, deleteRun, exportRuns, importRuns, runLabel, diffReports, renderDiffTable } from "./baselines.js";
+import { loadModelRegistry, listTasks, getTask, createRunner, modelPathHint, registerTask } from "./registry.js";
+import { drawTopK, resizeCanvasToVideo, drawSegmentationOverlay, colorizeLabels, drawDetections, drawSegLegend } from "./draw.js";
+import { MaskCompositor } from "./mask_compositor.js";
+import { WorkerRunner } from "./worker_runner.js";
+import { loadEvalManifest, releaseItems } from "./eval_data.js";
+import { DEFAULT_CLASSIFICATION_MANIFEST, classificationItemsFromFiles, runClassificationEval, renderClassificationEval } from "./eval_classification.js";
+import { DEFAULT_SEGMENTATION_MANIFEST, EVAL_SEGMENTERS, segmentationItemsFromFiles, runSegmentationEval, renderSegmentationEval } from "./eval_segmentation.js";
+import { snapshotFrame, imagenet1000, classificationAgreement, maskIoU, maxAbsDiff, formatAgreement } from "./agreement.js";
 
 const els = {
   video: document.getElementById("webcam"),
+  stillCanvas: document.getElementById("stillCanvas"),
+  sourceSelect: document.getElementById("sourceSelect"),
+  sourceFile: document.getElementById("sourceFile"),
+  sourceInfo: document.getElementById("sourceInfo"),
+  cameraSelect: document.getElementById("cameraSelect"),
+  facingSelect: document.getElementById("facingSelect"),
+  resolutionSelect: document.getElementById("resolutionSelect"),
+  frameRateSelect: document.getElementById("frameRateSelect"),
+  playPauseBtn: document.getElementById("playPauseBtn"),
+  stepBtn: document.getElementById("stepBtn"),
   canvas: document.getElementById("overlay"),
+  stage: document.querySelector(".stage"),
+  segCanvas: document.getElementById("segCanvas"),
+  useWorker: document.getElementById("useWorker"),
+  compareWorkerBtn: document.getElementById("compareWorkerBtn"),
   status: document.getElementById("status"),
   gpuInfo: document.getElementById("gpuInfo"),
   benchBtn: document.getElementById("benchBtn"),
@@ -18,11 +49,83 @@ const els = {
   backendSelect: document.getElementById("backendSelect"),
   modelPath: document.getElementById("modelPath"),
   taskSelect: document.getElementById("taskSelect"),
+  segLegend: document.getElementById("segLegend"),
   // perf + segmentation tuning controls (optional in DOM)
   segInterval: document.getElementById("segInterval"),
   segIntervalOut: document.getElementById("segIntervalOut"),
   overlayAlpha: document.getElementById("overlayAlpha"),
   overlayAlphaOut: document.getElementById("overlayAlphaOut"),
+  scoreThresh: document.getElementById("scoreThresh"),
+  scoreThreshOut: document.getElementById("scoreThreshOut"),
+  // soft masks / temporal smoothing (selfie segmenters)
+  softMask: document.getElementById("softMask"),
+  smoothMode: document.getElementById("smoothMode"),
+  smoothStrength: document.getElementById("smoothStrength"),
+  smoothStrengthOut: document.getElementById("smoothStrengthOut"),
+  edgeRefine: document.getElementById("edgeRefine"),
+  // background effects (person segmenters)
+  fxMode: document.getElementById("fxMode"),
+  fxBlur: document.getElementById("fxBlur"),
+  fxBlurOut: document.getElementById("fxBlurOut"),
+  fxBgFile: document.getElementById("fxBgFile"),
+  fxKeyColor: document.getElementById("fxKeyColor"),
+  fxStreamBtn: document.getElementById("fxStreamBtn"),
+  fxPreview: document.getElementById("fxPreview"),
+  exportJsonBtn: document.getElementById("exportJsonBtn"),
+  exportCsvBtn: document.getElementById("exportCsvBtn"),
+  profileStages: document.getElementById("profileStages"),
+  runAllBtn: document.getElementById("runAllBtn"),
+  matrixPanel: document.getElementById("matrixPanel"),
+  matrixTable: document.getElementById("matrixTable"),
+  matrixChart: document.getElementById("matrixChart"),
+  sustainedBtn: document.getElementById("sustainedBtn"),
+  sustainedDuration: document.getElementById("sustainedDuration"),
+  sustainedBackends: document.getElementById("sustainedBackends"),
+  sustainedPanel: document.getElementById("sustainedPanel"),
+  sustainedChart: document.getElementById("sustainedChart"),
+  sustainedSummary: document.getElementById("sustainedSummary"),
+  cacheList: document.getElementById("cacheList"),
+  cacheTotal: document.getElementById("cacheTotal"),
+  clearCacheBtn: document.getElementById("clearCacheBtn"),
+  offlineState: document.getElementById("offlineState"),
+  evalManifest: document.getElementById("evalManifest"),
+  evalFolder: document.getElementById("evalFolder"),
+  evalFolderHint: document.getElementById("evalFolderHint"),
+  evalNormalization: document.getElementById("evalNormalization"),
+  evalBtn: document.getElementById("evalBtn"),
+  evalDownloadBtn: document.getElementById("evalDownloadBtn"),
+  evalPanel: document.getElementById("evalPanel"),
+  evalTitle: document.getElementById("evalTitle"),
+  evalResults: document.getElementById("evalResults"),
+  inspectBtn: document.getElementById("inspectBtn"),
+  probeBtn: document.getElementById("probeBtn"),
+  compileReport: document.getElementById("compileReport"),
+  modelInfo: document.getElementById("modelInfo"),
+  customModelFile: document.getElementById("customModelFile"),
+  customSignature: document.getElementById("customSignature"),
+  customBindRow: document.getElementById("customBindRow"),
+  customPostprocessor: document.getElementById("customPostprocessor"),
+  customDecoder: document.getElementById("customDecoder"),
+  customNormalization: document.getElementById("customNormalization"),
+  customLabels: document.getElementById("customLabels"),
+  customUseBtn: document.getElementById("customUseBtn"),
+  customStatus: document.getElementById("customStatus"),
+  tagDevice: document.getElementById("tagDevice"),
+  tagLitert: document.getElementById("tagLitert"),
+  tagNote: document.getElementById("tagNote"),
+  saveRunBtn: document.getElementById("saveRunBtn"),
+  diffRunSelect: document.getElementById("diffRunSelect"),
+  baselineSelect: document.getElementById("baselineSelect"),
+  regressionThreshold: document.getElementById("regressionThreshold"),
+  regressionThresholdOut: document.getElementById("regressionThresholdOut"),
+  diffBtn: document.getElementById("diffBtn"),
+  deleteRunBtn: document.getElementById("deleteRunBtn"),
+  exportRunsBtn: document.getElementById("exportRunsBtn"),
+  importRunsFile: document.getElementById("importRunsFile"),
+  diffPanel: document.getElementById("diffPanel"),
+  diffTitle: document.getElementById("diffTitle"),
+  diffTable: document.getElementById("diffTable"),
+  stageBar: document.getElementById("stageBar"),
 };
 
 const perfEl = document.getElementById('perf');
@@ -30,6 +133,10 @@ let fpsEMA = 0;
 let lastPerfUpdate = 0;
 const PERF_UPDATE_MS = 500; // update perf pill ~2x/sec
 let lastSegTs = 0;          // segmentation throttle timestamp
+let stageEMA = null;        // smoothed per-stage ms for the stacked bar (profiling only)
+const PROFILE_RUNS = 10;    // extra fenced runs per backend for the benchmark's stage breakdown
+
+let gpuAdapterInfo = null; // { vendor, architecture, device, description, backend } for result exports
 
 // GPU info overlay (WebGPU → Vulkan → Mali on Arm)
 (async () => {
@@ -38,12 +145,18 @@ let lastSegTs = 0;          // segmentation throttle timestamp
       const adapter = await navigator.gpu.requestAdapter();
       if (adapter?.requestAdapterInfo) {
         const info = await adapter.requestAdapterInfo();
+        const { vendor, architecture, device, description, backend } = info;
+        gpuAdapterInfo = { vendor, architecture, device, description, backend };
         if (els.gpuInfo) {
           setGpuInfoBase(`GPU: ${info.vendor || '—'} (${info.architecture || '—'}) • Backend: ${info.backend || '—'}`);
         }
       } else if (els.gpuInfo) {
         setGpuInfoBase('GPU: WebGPU available');
       }
+      if (!gpuAdapterInfo && adapter?.info) {
+        const { vendor, architecture, device, description } = adapter.info;
+        gpuAdapterInfo = { vendor, architecture, device, description };
+      }
     } else if (els.gpuInfo) {
       setGpuInfoBase('GPU: WebGPU not available');
     }
@@ -53,26 +166,69 @@ let lastSegTs = 0;          // segmentation throttle timestamp
   }
 })();
 
-if (els.taskSelect) {
-  const onTaskChange = () => {
-    const task = els.taskSelect.value;
-    // Update model path hint
-    els.modelPath.textContent =
-      task === 'classification' ? 'models/torchvision_mobilenet_v2.tflite' :
-      task === 'selfie'         ? 'models/selfie_general_256x256.tflite' :
-      task === 'selfie-mc'      ? 'models/selfie_multiclass_256x256.tflite' :
-                                  'models/torchvision_mobilenet_v2.tflite';
-    // Show seg-only controls for selfie segmentation tasks
-    const segCtl = document.getElementById('segCtl');
-    const alphaCtl = document.getElementById('alphaCtl');
-    const showSeg = ['selfie', 'selfie-mc'].includes(task);
-    if (segCtl) segCtl.style.display = showSeg ? '' : 'none';
-    if (alphaCtl) alphaCtl.style.display = showSeg ? '' : 'none';
-  };
-  els.taskSelect.addEventListener('change', onTaskChange);
-  onTaskChange();
+// Show the controls that apply to the selected task and load its defaults
+function onTaskChange() {
+  if (!els.taskSelect || !listTasks().length) return;
+  const task = getTask(els.taskSelect.value);
+  setModelPathHintFor(task.id);
+  const segCtl = document.getElementById('segCtl');
+  const alphaCtl = document.getElementById('alphaCtl');
+  const detCtl = document.getElementById('detCtl');
+  const showSeg = task.type === 'segmenter';
+  if (segCtl) segCtl.style.display = showSeg ? '' : 'none';
+  if (alphaCtl) alphaCtl.style.display = showSeg ? '' : 'none';
+  if (detCtl) detCtl.style.display = (task.type === 'detector') ? '' : 'none';
+  const fxCtl = document.getElementById('fxCtl');
+  if (fxCtl) fxCtl.style.display = task.effects ? '' : 'none';
+  const maskCtl = document.getElementById('maskCtl');
+  if (maskCtl) maskCtl.style.display = task.softMask ? '' : 'none';
+  applyEffect();
+
+  const d = task.defaults || {};
+  if (els.overlayAlpha && d.overlayAlpha !== undefined) {
+    els.overlayAlpha.value = String(d.overlayAlpha);
+    els.overlayAlpha.dispatchEvent(new Event('input'));
+  }
+  if (els.scoreThresh && d.scoreThreshold !== undefined) {
+    els.scoreThresh.value = String(d.scoreThreshold);
+    els.scoreThresh.dispatchEvent(new Event('input'));
+  }
+
+  updateEvalControls(task);
+
+  // inspector: only read models that are already local, don't download on every task switch
+  els.compileReport?.replaceChildren();
+  els.modelInfo?.replaceChildren();
+  hasCached(task.modelUrl).then(cached => cached && inspectSelected()).catch(() => {});
 }
 
+// Task dropdown is populated from public/models/models.json
+(async () => {
+  try {
+    const tasks = await loadModelRegistry();
+    if (els.taskSelect) {
+      els.taskSelect.replaceChildren(...tasks.map(t => new Option(t.label || t.id, t.id)));
+      els.taskSelect.addEventListener('change', onTaskChange);
+      onTaskChange();
+    }
+    let bench = null;
+    try {
+      bench = parseBenchParams(location.search, tasks.map(t => t.id));
+    } catch (e) {
+      setBenchState('error');
+      els.status.textContent = `unattended: ${e.message}`;
+    }
+    if (bench) runUnattended(bench);
+    else restoreBinding().then(t => t && addCustomTask(t, { select: false })).catch(e => console.warn('[custom model]', e));
+  } catch (e) {
+    console.error(e);
+    els.status.textContent = e?.message || String(e);
+    els.startBtn.disabled = true;
+    // an unattended run can't start without the registry; let polling scripts see it
+    if (new URLSearchParams(location.search).has('bench')) setBenchState('error');
+  }
+})();
+
 if (els.segInterval) {
   els.segInterval.addEventListener('input', () => {
     if (els.segIntervalOut) els.segIntervalOut.textContent = String(els.segInterval.value);
@@ -83,6 +239,111 @@ if (els.overlayAlpha) {
     if (els.overlayAlphaOut) els.overlayAlphaOut.textContent = Number(els.overlayAlpha.value).toFixed(2);
   });
 }
+// --- Background effects (blur / replace / color key), applied by the mask compositor ---
+let fxBackground = null;  // <img> or <video> chosen by the user
+let fxBackgroundUrl = null;
+
+const hexToRgb = (hex) => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+
+function applyEffect() {
+  const mode = els.fxMode?.value || 'overlay';
+  const show = (el, on) => { if (el) el.style.display = on ? '' : 'none'; };
+  show(document.getElementById('fxBlurRow'), mode === 'blur');
+  show(els.fxBgFile, mode === 'replace');
+  show(els.fxKeyColor, mode === 'color');
+
+  const task = els.taskSelect && listTasks().length ? getTask(els.taskSelect.value) : null;
+  const effect = {
+    mode: task?.effects ? mode : 'overlay',
+    blur: Number(els.fxBlur?.value ?? 3),
+    keyColor: els.fxKeyColor ? hexToRgb(els.fxKeyColor.value) : undefined,
+    refine: !!els.edgeRefine?.checked,
+  };
+  // worker-hosted compositor (WorkerRunner)
+  if (runner?.setEffect) {
+    runner.setEffect(effect);
+    if (runner.background !== fxBackground) {
+      // async: the worker decodes the image; a bad file or a closed worker rejects
+      runner.setBackground(fxBackground).catch((err) => {
+        console.error(err);
+        if (els.status) els.status.textContent = `background error: ${err?.message || err}`;
+      });
+    }
+  }
+  if (!compositor) return; // picked up when the compositor is created
+  compositor.setEffect(effect);
+  if (compositor.background !== fxBackground) compositor.setBackground(fxBackground);
+}
+
+els.fxMode?.addEventListener('change', applyEffect);
+els.fxKeyColor?.addEventListener('input', applyEffect);
+els.fxBlur?.addEventListener('input', () => {
+  if (els.fxBlurOut) els.fxBlurOut.textContent = Number(els.fxBlur.value).toFixed(1);
+  applyEffect();
+});
+els.fxBgFile?.addEventListener('change', () => {
+  const file = els.fxBgFile.files?.[0];
+  if (!file) return;
+  if (fxBackground instanceof HTMLVideoElement) fxBackground.pause();
+  if (fxBackgroundUrl) URL.revokeObjectURL(fxBackgroundUrl);
+  fxBackgroundUrl = URL.createObjectURL(file);
+  if (file.type.startsWith('video/')) {
+    const v = document.createElement('video');
+    Object.assign(v, { src: fxBackgroundUrl, loop: true, muted: true, playsInline: true });
+    v.play().catch(console.warn);
+    fxBackground = v;
+    applyEffect();
+  } else {
+    const img = new Image();
+    img.onload = () => { fxBackground = img; applyEffect(); };
+    img.src = fxBackgroundUrl;
+  }
+});
+// Composited output as a MediaStream, previewed in a <video> (toggle)
+els.fxStreamBtn?.addEventListener('click', () => {
+  const preview = els.fxPreview;
+  if (!preview) return;
+  if (preview.srcObject) {
+    preview.srcObject.getTracks().forEach(t => t.stop());
+    preview.srcObject = null;
+    preview.style.display = 'none';
+    return;
+  }
+  // worker mode: the page-side placeholder of the worker's OffscreenCanvas
+  const source = runner?.rendersOverlay ? runner.canvas : getCompositor();
+  if (!source) {
+    els.status.textContent = 'output stream needs WebGL2';
+    return;
+  }
+  preview.srcObject = source.captureStream(30);
+  preview.style.display = 'block';
+});
+
+// Soft mask + smoothing options for the runner; applied live like the score threshold
+function maskOptions() {
+  return {
+    softMask: !!els.softMask?.checked,
+    smoothing: els.smoothMode?.value || 'off',
+    smoothingStrength: Number(els.smoothStrength?.value ?? 0.6),
+  };
+}
+function applyMaskOptions() {
+  if (els.smoothStrengthOut && els.smoothStrength) els.smoothStrengthOut.textContent = Number(els.smoothStrength.value).toFixed(2);
+  runner?.setMaskOptions?.(maskOptions());
+}
+els.softMask?.addEventListener('change', applyMaskOptions);
+els.smoothMode?.addEventListener('change', applyMaskOptions);
+els.smoothStrength?.addEventListener('input', applyMaskOptions);
+els.edgeRefine?.addEventListener('change', applyEffect);
+
+if (els.scoreThresh) {
+  els.scoreThresh.addEventListener('input', () => {
+    const v = Number(els.scoreThresh.value);
+    if (els.scoreThreshOut) els.scoreThreshOut.textContent = v.toFixed(2);
+    // applied live; no restart needed
+    if (runner && runner.type === 'detector') runner.scoreThreshold = v;
+  });
+}
 
 document.addEventListener('visibilitychange', () => {
   if (document.hidden && running) {
@@ -95,7 +356,7 @@ document.addEventListener('visibilitychange', () => {
   }
 });
 
-let runner;                 // Classifier or Segmenter
+let runner;                 // Classifier, Detector or Segmenter
 let running = false;
 let rafId = null;
 
@@ -128,17 +389,265 @@ function showProgress(id, show) {
   const wrap = document.getElementById(id);
   if (wrap) wrap.style.display = show ? 'block' : 'none';
 }
-function setModelPathHintFor(task) {
+function setModelPathHintFor(taskId) {
   if (!els.modelPath) return;
-  els.modelPath.textContent =
-    task === 'classification' ? 'models/torchvision_mobilenet_v2.tflite' :
-    task === 'selfie'         ? 'models/selfie_general_256x256.tflite' :
-    task === 'selfie-mc'      ? 'models/selfie_multiclass_256x256.tflite' :
-                                'models/torchvision_mobilenet_v2.tflite';
+  els.modelPath.textContent = modelPathHint(getTask(taskId));
+}
+
+// Segmentation overlays are composited on the GPU (WebGL2); the 2D canvas is the fallback.
+let compositor; // MaskCompositor | null (unavailable) | undefined (not tried yet)
+function getCompositor() {
+  if (compositor === undefined) {
+    try {
+      compositor = els.segCanvas ? new MaskCompositor(els.segCanvas) : null;
+    } catch (e) {
+      console.warn('[main] WebGL2 mask compositor unavailable; using 2D canvas.', e);
+      compositor = null;
+    }
+    if (compositor) {
+      applyEffect();
+    } else if (els.fxMode) {
+      // effects live in the shader; the 2D fallback only draws the overlay
+      els.fxMode.value = 'overlay';
+      els.fxMode.disabled = true;
+      els.fxMode.title = 'Background effects need WebGL2';
+    }
+  }
+  return compositor;
+}
+
+function drawMask(mask, alpha) {
+  if (!mask.width || !mask.height) return;
+  const comp = getCompositor();
+  if (comp) {
+    els.segCanvas.style.display = 'block';
+    resizeCanvasToVideo(els.segCanvas, frameEl());
+    comp.render(frameEl(), mask, { alpha });
+  } else {
+    drawSegmentationOverlay(els.canvas, frameEl(), colorizeLabels(mask), mask.width, mask.height, alpha, !!mask.alpha);
+  }
+}
+
+// ---- Per-stage breakdown: stacked bar under the perf pill ----
+function recordStages(timings) {
+  if (!timings) return;
+  stageEMA = stageEMA || {};
+  for (const [k, v] of Object.entries(timings)) {
+    stageEMA[k] = stageEMA[k] === undefined ? v : stageEMA[k] * 0.9 + v * 0.1;
+  }
+}
+
+function renderStageBar() {
+  const bar = els.stageBar;
+  if (!bar) return;
+  bar.hidden = !stageEMA;
+  if (!stageEMA) return;
+  const total = STAGES.reduce((a, s) => a + (stageEMA[s] || 0), 0) || 1;
+  bar.replaceChildren(...STAGES.filter(s => stageEMA[s] > 0).map(s => {
+    const seg = document.createElement('span');
+    const share = stageEMA[s] / total;
+    seg.className = `stage-bar__seg stage-bar__seg--${s}`;
+    seg.style.width = `${(share * 100).toFixed(1)}%`;
+    seg.title = `${s}: ${stageEMA[s].toFixed(1)} ms`;
+    if (share > 0.12) seg.textContent = `${s} ${stageEMA[s].toFixed(1)}`;
+    return seg;
+  }));
+}
+
+// Draw a result; when profiling, fence the draw (gl.finish for the compositor) and add it to
+// the runner's timings. Worker runners time their own draw.
+function drawTimed(draw, gpu = false) {
+  if (!runner?.profile) return draw();
+  const t = performance.now();
+  draw();
+  if (gpu) compositor?.finish();
+  if (runner.lastTimings) runner.lastTimings.draw = performance.now() - t;
+}
+
+function applyProfile() {
+  if (runner) runner.profile = !!els.profileStages?.checked;
+  stageEMA = null;
+  renderStageBar();
+}
+
+els.profileStages?.addEventListener('change', applyProfile);
+
+// Worker mode: a fresh canvas per run, since control of a canvas can be transferred only once
+function makeWorkerCanvas() {
+  els.stage.querySelector('#workerCanvas')?.remove();
+  const c = document.createElement('canvas');
+  c.id = 'workerCanvas';
+  els.canvas.before(c);
+  return c;
+}
+
+function makeRunner(task, options, { worker = false } = {}) {
+  if (!worker) return createRunner(task, options);
+  const canvas = getTask(task).type === 'segmenter' ? makeWorkerCanvas() : null;
+  return new WorkerRunner(task, options, { canvas });
+}
+
+// --- Input source (webcam, image/video file, screen capture) ---
+let source = null;        // current Source from sources.js; `source.el` is what runners read
+let sourceFile = null;    // last picked/dropped file for the image/video kinds
+
+function frameEl() {
+  return source ? source.el : els.video;
+}
+
+function showSourceInfo() {
+  if (els.sourceInfo) els.sourceInfo.textContent = source ? source.describe() : '—';
+  const vidCtl = document.getElementById('videoStepCtl');
+  if (vidCtl) vidCtl.style.display = source?.kind === 'video' ? '' : 'none';
+  if (els.playPauseBtn && source?.kind === 'video') els.playPauseBtn.textContent = source.paused ? 'Play' : 'Pause';
+}
+
+// Swap the frame source; the render loop (if running) carries on with the new one
+async function setSource(next) {
+  // openers reset the shared <video> themselves; only a source on another element needs stopping
+  if (source && source !== next && source.el !== next.el) source.stop();
+  source = next;
+  const still = source.kind === 'image';
+  els.video.style.display = still ? 'none' : '';
+  if (els.stillCanvas) els.stillCanvas.style.display = still ? 'block' : 'none';
+  showSourceInfo();
+  if (running) scheduleLoop(); // rVFC vs rAF depends on the source
+}
+
+/** Open the source picked in the UI unless it is already open. Benchmarks and comparisons use this too. */
+async function ensureSource() {
+  const kind = els.sourceSelect?.value || 'webcam';
+  if (source && source.kind === kind) return source;
+  const file = (kind === 'image' || kind === 'video') ? sourceFile : undefined;
+  await setSource(await openSource(kind, { videoEl: els.video, canvasEl: els.stillCanvas, file, constraints: cameraConstraints() }));
+  if (kind === 'webcam') refreshCameraList(); // labels become available once permission is granted
+  return source;
+}
+
+// --- Camera selection: device, facing mode, resolution, frame rate ---
+function cameraConstraints() {
+  const [width, height] = (els.resolutionSelect?.value || '640x480').split('x').map(Number);
+  return {
+    deviceId: els.cameraSelect?.value || undefined,
+    facingMode: els.facingSelect?.value || undefined,
+    width,
+    height,
+    frameRate: Number(els.frameRateSelect?.value) || undefined,
+  };
+}
+
+async function refreshCameraList() {
+  if (!els.cameraSelect) return;
+  try {
+    const cams = await listCameras();
+    const current = els.cameraSelect.value;
+    els.cameraSelect.replaceChildren(new Option('Default camera', ''), ...cams.map(c => new Option(c.label, c.deviceId)));
+    if (cams.some(c => c.deviceId === current)) els.cameraSelect.value = current;
+  } catch (e) {
+    console.warn('[main] enumerateDevices failed', e);
+  }
+}
+
+// Live switch: the runner keeps going, only the stream changes
+async function onCameraChange(e) {
+  // a specific device and a facing mode are alternatives
+  if (e?.target === els.cameraSelect && els.cameraSelect.value && els.facingSelect) els.facingSelect.value = '';
+  if (e?.target === els.facingSelect && els.facingSelect.value && els.cameraSelect) els.cameraSelect.value = '';
+  if (source?.kind !== 'webcam') return;
+  try {
+    await source.update(cameraConstraints());
+    // track settings may take a moment to reflect the new mode
+    setTimeout(showSourceInfo, 300);
+    showSourceInfo();
+    if (running) scheduleLoop();
+  } catch (err) {
+    console.error(err);
+    els.status.textContent = `camera error: ${err?.message || err}`;
+  }
+}
+
+[els.cameraSelect, els.facingSelect, els.resolutionSelect, els.frameRateSelect]
+  .forEach(el => el?.addEventListener('change', onCameraChange));
+navigator.mediaDevices?.addEventListener?.('devicechange', refreshCameraList);
+refreshCameraList();
+
+// Release capture devices (webcam/screen); file sources stay selected for the next start
+function closeLiveSource() {
+  if (source?.live) {
+    source.stop();
+    source = null;
+    showSourceInfo();
+  }
+}
+
+async function useFile(file) {
+  const kind = kindForFile(file);
+  if (!kind) throw new Error(`Unsupported file type: ${file.type || file.name}`);
+  sourceFile = file;
+  if (els.sourceSelect) els.sourceSelect.value = kind;
+  source = source?.kind === kind && !source.live ? null : source; // force re-open with the new file
+  await ensureSource();
+}
+
+els.sourceSelect?.addEventListener('change', () => {
+  const kind = els.sourceSelect.value;
+  if (els.sourceFile) els.sourceFile.style.display = (kind === 'image' || kind === 'video') ? '' : 'none';
+  const cameraCtl = document.getElementById('cameraCtl');
+  if (cameraCtl) cameraCtl.style.display = kind === 'webcam' ? '' : 'none';
+  // switch right away when there is something to switch to
+  if ((running || source) && (kind === 'webcam' || kind === 'screen' || (sourceFile && kindForFile(sourceFile) === kind))) {
+    ensureSource().catch(e => { console.error(e); els.status.textContent = e?.message || String(e); });
+  }
+});
+els.sourceFile?.addEventListener('change', () => {
+  const file = els.sourceFile.files?.[0];
+  if (file) useFile(file).catch(e => { console.error(e); els.status.textContent = e?.message || String(e); });
+});
+els.playPauseBtn?.addEventListener('click', async () => {
+  if (source?.kind !== 'video') return;
+  await source.setPlaying(source.paused);
+  showSourceInfo();
+  if (running) scheduleLoop();
+});
+els.stepBtn?.addEventListener('click', async () => {
+  if (source?.kind !== 'video') return;
+  await source.step(1);
+  showSourceInfo();
+});
+
+// Drop an image or video file onto the stage to use it as the source
+if (els.stage) {
+  els.stage.addEventListener('dragover', (e) => {
+    e.preventDefault();
+    els.stage.classList.add('stage--drop');
+  });
+  els.stage.addEventListener('dragleave', () => els.stage.classList.remove('stage--drop'));
+  els.stage.addEventListener('drop', (e) => {
+    e.preventDefault();
+    els.stage.classList.remove('stage--drop');
+    const file = e.dataTransfer?.files?.[0];
+    if (file && /\.tflite$/i.test(file.name)) loadCustomModel(file);
+    else if (file) useFile(file).catch(err => { console.error(err); els.status.textContent = err?.message || String(err); });
+  });
+}
+
+// Next loop() on a new video frame when the source is a playing video, otherwise next animation
+// frame. Bumping loopGen orphans callbacks scheduled for a previous source.
+let loopGen = 0;
+function scheduleLoop() {
+  const gen = ++loopGen;
+  const next = (ts) => { if (gen === loopGen) loop(ts); };
+  const el = frameEl();
+  if (el instanceof HTMLVideoElement && !el.paused && "requestVideoFrameCallback" in el) {
+    el.requestVideoFrameCallback(next);
+  } else {
+    rafId = requestAnimationFrame(next);
+  }
 }
 
 // --- Classification throttling state ---
 const CLASSIFY_INTERVAL_MS = 200;  // ~5 FPS
+const DETECT_INTERVAL_MS = 66;     // ~15 FPS; boxes look laggy below that
 let classifyInFlight = false;
 let lastClassifyTs = 0;
 
@@ -153,43 +662,32 @@ els.startBtn.addEventListener("click", async () => {
 
     els.status.textContent = "initializing…";
 
-    await setupWebcam(els.video, { width: 640, height: 480 });
-    resizeCanvasToVideo(els.canvas, els.video);
+    await ensureSource();
+    resizeCanvasToVideo(els.canvas, frameEl());
 
     const task = els.taskSelect ? els.taskSelect.value : 'classification';
     setModelPathHintFor(task);
 
     const backend = els.backendSelect.value;
 
-    if (task === 'classification') {
-      runner = new Classifier({
-        modelUrl: "/models/torchvision_mobilenet_v2.tflite",
-        labelsUrl: "/models/imagenet_labels.txt",
-        wasmPath: "/wasm/",
-        accelerator: backend,
-      });
-    } else if (task === 'selfie') {
-      const { SegmenterSelfie } = await import('./segmenter_selfie.js');
-      runner = new SegmenterSelfie({
-        modelUrl: "/models/selfie_general_256x256.tflite", // or the landscape one
-        wasmPath: "/wasm/",
-        accelerator: backend,  // try 'wasm' first for CPU; 'webgpu' also works
-        inputSize: 256,        // 256 for general; 144x256 requires a small code tweak
-        threshold: 0.5,
-        color: [26,211,106],
-      });
-    } else if (task === 'selfie-mc') {
-      const { SegmenterSelfieMulticlass } = await import('./segmenter_selfie_multiclass.js');
-      runner = new SegmenterSelfieMulticlass({
-        modelUrl: "/models/selfie_multiclass_256x256.tflite",
-        wasmPath: "/wasm/",
-        accelerator: backend,
-        inputSize: 256,
-      });
-    }
+    const overrides = {};
+    if (getTask(task).type === 'detector' && els.scoreThresh) overrides.scoreThreshold = Number(els.scoreThresh.value);
+    if (getTask(task).softMask) Object.assign(overrides, maskOptions());
+    runner = await makeRunner(task, { accelerator: backend, overrides }, { worker: !!els.useWorker?.checked });
 
-    await runner.init();
-    els.status.textContent = `ready • ${runner.backendName} • ${runner.type}`;
+    try {
+      await runner.init();
+    } catch (e) {
+      if (els.compileReport) renderCompileReport(els.compileReport, [compileOutcome(backend, runner, e)]);
+      throw e;
+    }
+    if (els.compileReport) renderCompileReport(els.compileReport, [compileOutcome(backend, runner)]);
+    inspectSelected();
+    refreshCachePanel();
+    if (runner instanceof WorkerRunner) applyEffect(); // push effect settings to the worker's compositor
+    applyProfile();
+    els.status.textContent = `ready • ${runner.describeBackend()} • ${runner.type}`;
+    if (runner.fallbackReason) console.warn(`[main] ${task}: requested ${backend}, running on ${runner.backendName}`);
 
     // reset perf UI
     fpsEMA = 0; lastPerfUpdate = 0; lastSegTs = 0;
@@ -203,14 +701,14 @@ els.startBtn.addEventListener("click", async () => {
     lastClassifyTs = 0;
 
     running = true;
-    if ("requestVideoFrameCallback" in HTMLVideoElement.prototype) {
-      els.video.requestVideoFrameCallback(loop);
-    } else {
-      rafId = requestAnimationFrame(loop);
-    }
+    scheduleLoop();
   } catch (err) {
     console.error(err);
     els.status.textContent = err?.message || String(err);
+    // drop the half-initialized runner (a WorkerRunner holds a worker and a compiled model)
+    runner?.dispose?.();
+    runner = null;
+    els.stage?.querySelector('#workerCanvas')?.remove();
     if (perfEl) perfEl.textContent = '—';
     els.stopBtn.disabled = true;
     els.startBtn.disabled = false;
@@ -227,17 +725,10 @@ function stopEverything() {
 
   // Best-effort cancel for rVFC; subsequent loop() will no-op due to running=false
   // (No explicit cancel API for rVFC; guard suffices.)
+  loopGen++;
 
-  // stop webcam tracks
-  const stream = els.video && els.video.srcObject;
-  if (stream && typeof stream.getTracks === 'function') {
-    stream.getTracks().forEach(t => {
-      try { t.stop(); } catch (_) {}
-    });
-  }
-  if (els.video) {
-    els.video.srcObject = null;
-  }
+  // stop webcam/screen capture
+  closeLiveSource();
 
   // clear canvas
   if (els.canvas) {
@@ -245,9 +736,17 @@ function stopEverything() {
     ctx && ctx.clearRect(0, 0, els.canvas.width, els.canvas.height);
   }
 
+  if (compositor) compositor.clear();
+  runner?.dispose?.();
+  els.stage?.querySelector('#workerCanvas')?.remove();
+  if (els.segCanvas) els.segCanvas.style.display = 'none';
+  drawSegLegend(els.segLegend, null);
+
   // reset perf and drop runner for clean restart
   if (perfEl) perfEl.textContent = '—';
   runner = null;
+  stageEMA = null;
+  renderStageBar();
 }
 
 async function restartWithCurrentSettings() {
@@ -280,6 +779,139 @@ if (els.toggleBackendBtn) {
   });
 }
 
+// ---- Result export: the last benchmark/comparison as JSON or CSV ----
+let lastReport = null;
+
+async function buildReport(kind, task, results) {
+  const env = {
+    runtime: await runtimeFeatures(),
+    gpu: gpuAdapterInfo,
+    source: source ? { kind: source.kind, label: source.label, width: source.width, height: source.height } : null,
+  };
+  lastReport = makeReport(kind, task, results, env);
+  if (els.exportJsonBtn) els.exportJsonBtn.disabled = false;
+  if (els.exportCsvBtn) els.exportCsvBtn.disabled = false;
+  if (els.saveRunBtn) els.saveRunBtn.disabled = false;
+  return lastReport;
+}
+
+// What each result row records about the runner it measured
+function runnerInfo(r) {
+  const input = r.input ? { width: r.input.width, height: r.input.height, layout: r.input.layout } : null;
+  return { modelUrl: r.modelUrl, accelerator: r.accelerator, fallbackReason: r.fallbackReason || null, input };
+}
+
+els.exportJsonBtn?.addEventListener('click', () => lastReport && downloadReport(lastReport, 'json'));
+els.exportCsvBtn?.addEventListener('click', () => lastReport && downloadReport(lastReport, 'csv'));
+
+// ---- Saved runs (IndexedDB) and regression diffs against a chosen baseline ----
+async function refreshSavedRuns() {
+  if (!els.baselineSelect) return;
+  let runs;
+  try {
+    runs = await listRuns();
+  } catch (e) {
+    console.warn('[baselines]', e);
+    document.getElementById('baselineCtl')?.setAttribute('title', String(e?.message || e));
+    return;
+  }
+  const fill = (sel, fixed) => {
+    const prev = sel.value;
+    sel.replaceChildren(...fixed, ...runs.map(r => new Option(runLabel(r), r.id)));
+    if ([...sel.options].some(o => o.value === prev)) sel.value = prev;
+  };
+  fill(els.baselineSelect, runs.length ? [] : [new Option('No saved runs yet', '')]);
+  if (els.diffRunSelect) fill(els.diffRunSelect, [new Option('Last run (unsaved)', 'last')]);
+}
+
+// Empty tag fields default to the GPU adapter and the LiteRT.js version the page was built with
+async function currentTags() {
+  const { litertVersion } = await runtimeFeatures();
+  const gpu = [gpuAdapterInfo?.vendor, gpuAdapterInfo?.architecture, gpuAdapterInfo?.device].filter(Boolean).join(' ');
+  return {
+    device: els.tagDevice?.value.trim() || gpu,
+    litertVersion: els.tagLitert?.value.trim() || litertVersion,
+    note: els.tagNote?.value.trim() || '',
+  };
+}
+
+async function showDiff() {
+  const baseId = Number(els.baselineSelect?.value);
+  if (!baseId) throw new Error('Save a run first to use it as a baseline.');
+  const baseline = await getRun(baseId);
+  const pick = els.diffRunSelect?.value || 'last';
+  const current = pick === 'last' ? lastReport : (await getRun(Number(pick)))?.report;
+  if (!current) throw new Error('Run a benchmark first, or pick a saved run to compare.');
+
+  const threshold = Number(els.regressionThreshold?.value || 5);
+  const rows = diffReports(current, baseline.report, { threshold });
+  renderDiffTable(els.diffTable, rows);
+  els.diffPanel.hidden = false;
+  const regressions = rows.filter(r => r.status === 'regression').length;
+  els.diffTitle.textContent = `Compared with ${runLabel(baseline)} — ` +
+    (regressions ? `${regressions} regression${regressions > 1 ? 's' : ''} over ${threshold}%` : `no regressions over ${threshold}%`);
+}
+
+els.saveRunBtn?.addEventListener('click', async () => {
+  if (!lastReport) return;
+  try {
+    await saveRun(lastReport, await currentTags());
+    await refreshSavedRuns();
+    if (els.status) els.status.textContent = `saved ${lastReport.kind}/${lastReport.task} run`;
+  } catch (err) {
+    console.error(err);
+    if (els.status) els.status.textContent = `save error: ${err?.message || err}`;
+  }
+});
+
+els.diffBtn?.addEventListener('click', () => showDiff().catch((err) => {
+  if (els.status) els.status.textContent = `compare error: ${err?.message || err}`;
+}));
+
+els.regressionThreshold?.addEventListener('input', () => {
+  if (els.regressionThresholdOut) els.regressionThresholdOut.textContent = `${els.regressionThreshold.value}%`;
+  if (els.diffPanel && !els.diffPanel.hidden) showDiff().catch(console.error);
+});
+
+els.deleteRunBtn?.addEventListener('click', async () => {
+  const id = Number(els.baselineSelect?.value);
+  if (!id || !confirm('Delete the selected saved run?')) return;
+  try {
+    await deleteRun(id);
+    await refreshSavedRuns();
+  } catch (err) {
+    console.error(err);
+    if (els.status) els.status.textContent = `delete error: ${err?.message || err}`;
+  }
+});
+
+els.exportRunsBtn?.addEventListener('click', async () => {
+  try {
+    const data = await exportRuns();
+    downloadText(`litert-baselines-${new Date().toISOString().replace(/[:.]/g, '-')}.json`, JSON.stringify(data, null, 2), 'application/json');
+  } catch (err) {
+    console.error(err);
+    if (els.status) els.status.textContent = `export error: ${err?.message || err}`;
+  }
+});
+
+els.importRunsFile?.addEventListener('change', async () => {
+  const file = els.importRunsFile.files?.[0];
+  if (!file) return;
+  try {
+    const n = await importRuns(JSON.parse(await file.text()));
+    await refreshSavedRuns();
+    if (els.status) els.status.textContent = `imported ${n} run${n === 1 ? '' : 's'}`;
+  } catch (err) {
+    console.error(err);
+    if (els.status) els.status.textContent = `import error: ${err?.message || err}`;
+  } finally {
+    els.importRunsFile.value = '';
+  }
+});
+
+refreshSavedRuns();
+
 // ---- Benchmark (restored): WebGPU vs WASM for the CURRENT task ----
 if (els.benchBtn) {
   els.benchBtn.addEventListener('click', async () => {
@@ -293,81 +925,74 @@ if (els.benchBtn) {
       const backends = ['webgpu', 'wasm'];
       const results = [];
 
-      // Ensure webcam frame
-      await setupWebcam(els.video, { width: 640, height: 480 });
-
-      // Helper to instantiate the correct runner per task/backend
-      const makeRunner = async (task, backend) => {
-        if (task === 'classification') {
-          return new Classifier({
-            modelUrl: '/models/torchvision_mobilenet_v2.tflite',
-            labelsUrl: '/models/imagenet_labels.txt',
-            wasmPath: '/wasm/',
-            accelerator: backend,
-          });
-        } else if (task === 'selfie') {
-          const { SegmenterSelfie } = await import('./segmenter_selfie.js');
-          return new SegmenterSelfie({
-            modelUrl: '/models/selfie_general_256x256.tflite',
-            wasmPath: '/wasm/',
-            accelerator: backend,
-            inputSize: 256,
-            threshold: 0.5,
-            color: [26,211,106],
-          });
-        } else if (task === 'selfie-mc') {
-          const { SegmenterSelfieMulticlass } = await import('./segmenter_selfie_multiclass.js');
-          return new SegmenterSelfieMulticlass({
-            modelUrl: '/models/selfie_multiclass_256x256.tflite',
-            wasmPath: '/wasm/',
-            accelerator: backend,
-            inputSize: 256,
-          });
-        }
-      };
+      // Ensure a frame source (webcam unless a file/screen is selected)
+      await ensureSource();
 
       let totalSteps = 0;
-      const WARM_C = (task === 'classification') ? 10 : 5;
-      const RUNS_C = (task === 'classification') ? 50 : 20;
-      totalSteps = backends.length * (1 /*init*/ + WARM_C + RUNS_C);
+      const { warmup: WARM_C = 5, runs: RUNS_C = 20 } = getTask(task).bench || {};
+      totalSteps = backends.length * (1 /*init*/ + WARM_C + RUNS_C + PROFILE_RUNS);
       let step = 0;
 
       for (const b of backends) {
         if (els.status) els.status.textContent = `benchmark • init ${b}…`;
 
-        const r = await makeRunner(task, b);
-        const tInit0 = performance.now();
-        await r.init();
-        step++; setProgress(PB_ID, (step/totalSteps)*100);
-        const tInit1 = performance.now();
-
-        // Warmup
-        for (let i = 0; i < WARM_C; i++) {
-          const out = await r.run(els.video);
-          (out && out.forEach && out.forEach(t => t?.dispose?.()));
+        const stepsBefore = step;
+        let r = null;
+        try {
+          r = await createRunner(task, { accelerator: b });
+          const tInit0 = performance.now();
+          await r.init();
           step++; setProgress(PB_ID, (step/totalSteps)*100);
-        }
-
-        // Time only run()
-        const t0 = performance.now();
-        for (let i = 0; i < RUNS_C; i++) {
-          const out = await r.run(els.video);
-          (out && out.forEach && out.forEach(t => t?.dispose?.()));
-          step++; setProgress(PB_ID, (step/totalSteps)*100);
-        }
-        const t1 = performance.now();
+          const tInit1 = performance.now();
 
-        const initMs = (tInit1 - tInit0).toFixed(1);
-        const avgMs = ((t1 - t0) / RUNS_C).toFixed(1);
-        const fps = (1000 / ((t1 - t0) / RUNS_C)).toFixed(1);
+          // Warmup
+          for (let i = 0; i < WARM_C; i++) {
+            const out = await r.run(frameEl());
+            (out && out.forEach && out.forEach(t => t?.dispose?.()));
+            step++; setProgress(PB_ID, (step/totalSteps)*100);
+          }
 
-        results.push({ backend: b.toUpperCase(), initMs, avgMs, fps });
+          // Time only run(), per iteration
+          const samples = await timeRuns(async () => {
+            const out = await r.run(frameEl());
+            (out && out.forEach && out.forEach(t => t?.dispose?.()));
+          }, RUNS_C, () => { step++; setProgress(PB_ID, (step/totalSteps)*100); });
+
+          // Stage breakdown from separate, fenced runs (fences would skew the latencies above)
+          const timings = [];
+          r.profile = true;
+          for (let i = 0; i < PROFILE_RUNS; i++) {
+            await r.run(frameEl());
+            timings.push(r.lastTimings);
+            step++; setProgress(PB_ID, (step/totalSteps)*100);
+          }
+          r.profile = false;
+
+          // label with the accelerator that actually ran (e.g. WEBGPU→WASM after a fallback)
+          const label = r.accelerator === b ? b.toUpperCase() : `${b.toUpperCase()}→${r.backendName}`;
+          results.push({
+            name: label, requested: b, ...runnerInfo(r),
+            initMs: tInit1 - tInit0, warmup: WARM_C, runs: RUNS_C, stats: summarize(samples), samples,
+            stages: aggregateStages(timings),
+          });
+        } catch (e) {
+          // one backend failing (e.g. no WebGPU compile) shouldn't lose the other's numbers
+          console.error(`[benchmark] ${task} on ${b}`, e);
+          results.push({ name: b.toUpperCase(), requested: b, error: String(e?.message || e) });
+          step = stepsBefore + totalSteps / backends.length;
+          setProgress(PB_ID, (step/totalSteps)*100);
+        } finally {
+          r?.dispose(); // frees the compiled model and its WebGPU/WASM buffers
+        }
       }
 
+      await buildReport('benchmark', task, results);
       if (els.status) {
         els.status.textContent =
           `benchmark → ` +
-          results.map(r => `${r.backend}: init ${r.initMs} ms, ${r.avgMs} ms (${r.fps} FPS)`).join(' • ');
+          results.map(r => (r.error
+            ? `${r.name}: failed (${r.error})`
+            : `${r.name}: init ${r.initMs.toFixed(1)} ms, ${formatStats(r.stats)} [${formatStages(r.stages)}]`)).join(' • ');
       }
       showProgress(PB_ID, false);
     } catch (err) {
@@ -378,19 +1003,527 @@ if (els.benchBtn) {
   });
 }
 
+// Frames/s through r.run() with per-frame latencies, plus the worst gap between animation frames
+// meanwhile (how much the page stutters while inference runs)
+async function measureThroughput(r, runs) {
+  let worstGapMs = 0, last = performance.now(), ticking = true;
+  const tick = (t) => {
+    worstGapMs = Math.max(worstGapMs, t - last);
+    last = t;
+    if (ticking) requestAnimationFrame(tick);
+  };
+  requestAnimationFrame(tick);
+  const samples = [];
+  const t0 = performance.now();
+  while (samples.length < runs) {
+    const s0 = performance.now();
+    if (await r.run(frameEl())) samples.push(performance.now() - s0);
+  }
+  const t1 = performance.now();
+  ticking = false;
+  return { fps: (1000 * runs) / (t1 - t0), worstGapMs, samples };
+}
+
+// ---- Main thread vs worker throughput for the CURRENT task ----
+if (els.compareWorkerBtn) {
+  els.compareWorkerBtn.addEventListener('click', async () => {
+    const PB_ID = 'progress-compare-worker';
+    try {
+      showProgress(PB_ID, true);
+      setProgress(PB_ID, 0);
+
+      const task = els.taskSelect ? els.taskSelect.value : 'classification';
+      const backend = els.backendSelect.value;
+      const { warmup: WARM = 5, runs: RUNS = 20 } = getTask(task).bench || {};
+      await ensureSource();
+
+      const results = [];
+      for (const [i, worker] of [false, true].entries()) {
+        const where = worker ? 'worker' : 'main thread';
+        if (els.compareStatus) els.compareStatus.textContent = `comparison • ${where}…`;
+        // no canvas on either side: inference + result transfer, not drawing
+        const r = worker ? new WorkerRunner(task, { accelerator: backend }) : await createRunner(task, { accelerator: backend });
+        try {
+          await r.init();
+          for (let k = 0; k < WARM; k++) await r.run(frameEl());
+          const { fps, worstGapMs, samples } = await measureThroughput(r, RUNS);
+          results.push({
+            name: where, fps, worstGapMs, modelUrl: getTask(task).modelUrl, accelerator: r.accelerator,
+            warmup: WARM, runs: RUNS, stats: summarize(samples), samples,
+          });
+        } finally {
+          r.dispose?.();
+        }
+        setProgress(PB_ID, ((i + 1) / 2) * 100);
+      }
+      showProgress(PB_ID, false);
+
+      await buildReport('compare-worker', task, results);
+      if (els.compareStatus) {
+        els.compareStatus.textContent =
+          `main vs worker (${task}, ${backend.toUpperCase()}) → ` +
+          results.map(r => `${r.name}: ${r.fps.toFixed(1)} FPS, p50 ${r.stats.p50.toFixed(1)} ms, worst UI frame ${r.worstGapMs.toFixed(0)} ms`).join(' • ');
+      }
+    } catch (err) {
+      console.error(err);
+      showProgress(PB_ID, false);
+      if (els.compareStatus) els.compareStatus.textContent = `comparison error: ${err?.message || err}`;
+    }
+  });
+}
+
+// ---- Run all: every registered task × backend × input scale ----
+// `opts` narrows the matrix: { tasks: [task entries], backends, scales, runs, warmup }.
+let runAllRun = null; // { stop } while running; the button doubles as Stop
+
+async function runAll(opts = {}) {
+  const PB_ID = 'progress-run-all';
+  const run = runAllRun = { stop: false };
+  if (els.runAllBtn) els.runAllBtn.textContent = 'Stop run all';
+  try {
+    showProgress(PB_ID, true);
+    setProgress(PB_ID, 0);
+    await ensureSource();
+
+    const view = new MatrixView(els.matrixTable, els.matrixChart);
+    if (els.matrixPanel) els.matrixPanel.hidden = false;
+    const configs = matrixConfigs(opts.tasks || listTasks(), { backends: opts.backends });
+    const rows = await runMatrix({
+      getFrame: frameEl,
+      configs,
+      scales: opts.scales,
+      runs: opts.runs,
+      warmup: opts.warmup,
+      shouldStop: () => run.stop,
+      onProgress: (done, total, soFar) => {
+        setProgress(PB_ID, (done / total) * 100);
+        if (els.status) els.status.textContent = `run all • ${done}/${total} • ${soFar[soFar.length - 1].name}`;
+        view.setRows(soFar);
+      },
+    });
+
+    const report = await buildReport('matrix', opts.tasks?.length === 1 ? opts.tasks[0].id : 'all', rows);
+    const failed = rows.filter(r => r.error).length;
+    const ok = rows.filter(r => !r.error).sort((a, b) => a.stats.p50 - b.stats.p50);
+    if (els.status) {
+      els.status.textContent = `run all${run.stop ? ' (stopped)' : ''} → ${rows.length} cells${failed ? `, ${failed} failed` : ''}` +
+        (ok.length ? ` • fastest ${ok[0].name}: ${formatStats(ok[0].stats)}` : '');
+    }
+    return report;
+  } finally {
+    runAllRun = null;
+    showProgress(PB_ID, false);
+    if (els.runAllBtn) els.runAllBtn.textContent = 'Run all';
+  }
+}
+
+els.runAllBtn?.addEventListener('click', () => {
+  if (runAllRun) {
+    runAllRun.stop = true;
+    return;
+  }
+  runAll().catch((err) => {
+    console.error(err);
+    if (els.status) els.status.textContent = `run all error: ${err?.message || err}`;
+  });
+});
+
+// ---- Sustained load: one task for minutes; latency curve, steady/initial ratio, battery ----
+const SUSTAINED_COOLDOWN_MS = 60_000; // idle between WebGPU and WASM so the second run starts cooler
+let sustainedRun = null;              // { stop } while running; the button doubles as Stop
+
+function describeSustained(r) {
+  const fps = (v) => (Number.isFinite(v) ? v.toFixed(1) : 'N/A');
+  let line = `${r.name}: ${fps(r.initialFps)} FPS initially → ${fps(r.steadyFps)} FPS steady (ratio ${Number.isFinite(r.steadyRatio) ? r.steadyRatio.toFixed(2) : 'N/A'})`;
+  if (r.battery) {
+    const { start, end, charging, drainPerHour } = r.battery;
+    line += ` • battery ${Math.round(start * 100)}% → ${Math.round(end * 100)}%` +
+      (charging ? ' (charging)' : Number.isFinite(drainPerHour) ? ` (${drainPerHour.toFixed(1)}%/h)` : '');
+  }
+  return line;
+}
+
+els.sustainedBtn?.addEventListener('click', async () => {
+  if (sustainedRun) {
+    sustainedRun.stop = true;
+    return;
+  }
+  const run = sustainedRun = { stop: false };
+  const shouldStop = () => run.stop;
+  const PB_ID = 'progress-sustained';
+  els.sustainedBtn.textContent = 'Stop sustained';
+  try {
+    showProgress(PB_ID, true);
+    setProgress(PB_ID, 0);
+    await ensureSource();
+
+    const task = els.taskSelect ? els.taskSelect.value : 'classification';
+    const minutes = Number(els.sustainedDuration?.value || 5);
+    const durationMs = minutes * 60_000;
+    const backends = els.sustainedBackends?.value === 'both' ? ['webgpu', 'wasm'] : [els.backendSelect?.value || 'webgpu'];
+    const series = [];
+    const results = [];
+    if (els.sustainedPanel) els.sustainedPanel.hidden = false;
+    if (els.sustainedSummary) els.sustainedSummary.textContent = '';
+
+    for (const [i, b] of backends.entries()) {
+      if (i > 0) {
+        if (els.status) els.status.textContent = `sustained • cooling down ${SUSTAINED_COOLDOWN_MS / 1000} s…`;
+        await coolDown(SUSTAINED_COOLDOWN_MS, shouldStop);
+      }
+      if (shouldStop()) break;
+
+      if (els.status) els.status.textContent = `sustained • init ${b}…`;
+      const r = await createRunner(task, { accelerator: b });
+      try {
+        const tInit0 = performance.now();
+        await r.init();
+        const initMs = performance.now() - tInit0;
+        const name = r.accelerator === b ? b.toUpperCase() : `${b.toUpperCase()}→${r.backendName}`;
+        const s = { name, timeline: [] };
+        series.push(s);
+
+        const out = await runSustained({
+          runner: r,
+          getFrame: frameEl,
+          durationMs,
+          shouldStop,
+          onWindow: (point, partial) => {
+            s.timeline = partial.timeline;
+            if (els.sustainedChart) drawSustainedChart(els.sustainedChart, series);
+            setProgress(PB_ID, ((i * durationMs + point.t) / (backends.length * durationMs)) * 100);
+            if (els.status) els.status.textContent = `sustained • ${name} • ${(point.t / 60000).toFixed(1)}/${minutes} min • p50 ${point.p50.toFixed(1)} ms`;
+          },
+        });
+        s.timeline = out.timeline;
+        results.push({
+          name, requested: b, ...runnerInfo(r), initMs,
+          durationMs: out.durationMs, windowMs: out.windowMs, runs: out.latencies.length,
+          samples: out.latencies, stats: summarize(out.latencies), timeline: out.timeline,
+          initialFps: out.initialFps, steadyFps: out.steadyFps, steadyRatio: out.steadyRatio, battery: out.battery,
+        });
+        if (els.sustainedSummary) els.sustainedSummary.textContent = results.map(describeSustained).join(' | ');
+      } finally {
+        r.dispose(); // before the cool-down, so it can't skew the next backend
+      }
+    }
+
+    if (els.sustainedChart) drawSustainedChart(els.sustainedChart, series);
+    if (results.length) {
+      await buildReport('sustained', task, results);
+      if (els.status) els.status.textContent = `sustained → ${results.map(describeSustained).join(' • ')}`;
+    }
+  } catch (err) {
+    console.error(err);
+    if (els.status) els.status.textContent = `sustained error: ${err?.message || err}`;
+  } finally {
+    sustainedRun = null;
+    els.sustainedBtn.textContent = 'Run sustained';
+    showProgress(PB_ID, false);
+  }
+});
+
+// ---- Offline: service worker + cached models panel ----
+const mb = (bytes) => `${(bytes / (1024 * 1024)).toFixed(bytes < 1024 * 1024 ? 2 : 1)} MB`;
+
+async function refreshCachePanel() {
+  if (!els.cacheList) return;
+  const entries = await listCached().catch(() => []);
+  els.cacheList.replaceChildren(...entries.map(({ url, size, cachedAt }) => {
+    const li = document.createElement('li');
+    li.textContent = `${new URL(url).pathname.replace(/^\//, '')} — ${mb(size)}`;
+    if (cachedAt) li.title = `cached ${cachedAt}`;
+    return li;
+  }));
+  if (els.cacheTotal) {
+    const total = entries.reduce((a, e) => a + e.size, 0);
+    els.cacheTotal.textContent = entries.length ? `${entries.length} files, ${mb(total)}` : 'nothing cached yet';
+  }
+}
+
+function showOfflineState() {
+  if (!els.offlineState) return;
+  const controlled = !!navigator.serviceWorker?.controller;
+  els.offlineState.textContent = !('serviceWorker' in navigator) ? 'unavailable' : controlled ? 'offline ready' : 'online only';
+  els.offlineState.title = controlled ? 'Served by the service worker; reloads work without a network.' : 'Reload once to let the service worker take over.';
+}
+
+if ('serviceWorker' in navigator) {
+  navigator.serviceWorker.register('/sw.js')
+    .catch((e) => console.warn('[sw] registration failed', e))
+    .finally(showOfflineState);
+  navigator.serviceWorker.addEventListener('controllerchange', showOfflineState);
+} else {
+  showOfflineState();
+}
+
+els.clearCacheBtn?.addEventListener('click', async () => {
+  await clearCaches();
+  await refreshCachePanel();
+  if (els.status) els.status.textContent = 'cache cleared; models download again on next start';
+});
+
+refreshCachePanel();
+
+// ---- Accuracy evaluation over a labeled set (public/eval/ manifest or a picked folder) ----
+let evalRun = null;
+let lastEval = null;
+let evalItems = [];       // kept until the next eval: the gallery shows picked files by object URL
+
+// 'classification' | 'segmentation' | null (no evaluation for this task)
+function evalKind(task) {
+  if (task.type === 'classifier') return 'classification';
+  return EVAL_SEGMENTERS.includes(task.runner) ? 'segmentation' : null;
+}
+
+// Manifest placeholder, folder layout hint and normalization choice follow the selected task
+function updateEvalControls(task) {
+  const seg = evalKind(task) === 'segmentation';
+  if (els.evalManifest) els.evalManifest.placeholder = seg ? DEFAULT_SEGMENTATION_MANIFEST : DEFAULT_CLASSIFICATION_MANIFEST;
+  if (els.evalFolderHint) els.evalFolderHint.textContent = seg ? '…or a folder with images/ and masks/ (PNG)' : '…or a folder of <label>/<image> files';
+  if (els.evalNormalization) els.evalNormalization.style.display = seg ? 'none' : '';
+}
+
+els.evalBtn?.addEventListener('click', async () => {
+  if (evalRun) {
+    evalRun.stop = true;
+    return;
+  }
+  if (!els.taskSelect || !listTasks().length) return;
+  if (running) {
+    els.status.textContent = 'stop the live run before evaluating';
+    return;
+  }
+  const task = getTask(els.taskSelect.value);
+  const kind = evalKind(task);
+  if (!kind) {
+    els.status.textContent = `evaluation: supports classification and selfie/multiclass segmentation, not ${task.label || task.id}`;
+    return;
+  }
+  const run = evalRun = { stop: false };
+  const PB_ID = 'progress-eval';
+  els.evalBtn.textContent = 'Stop eval';
+  let r = null;
+  try {
+    showProgress(PB_ID, true);
+    setProgress(PB_ID, 0);
+    releaseItems(evalItems);
+    const files = [...(els.evalFolder?.files || [])];
+    const seg = kind === 'segmentation';
+    const manifest = els.evalManifest?.value.trim() || (seg ? DEFAULT_SEGMENTATION_MANIFEST : DEFAULT_CLASSIFICATION_MANIFEST);
+    evalItems = files.length
+      ? (seg ? segmentationItemsFromFiles(files) : classificationItemsFromFiles(files))
+      : await loadEvalManifest(manifest, seg ? ['src', 'mask'] : ['src']);
+
+    const backend = els.backendSelect?.value || 'webgpu';
+    // hard per-frame masks: no soft alpha, and no temporal smoothing across unrelated images
+    const overrides = seg ? { softMask: false, smoothing: 'off' } : { topK: 5 };
+    if (!seg && els.evalNormalization?.value) overrides.normalization = els.evalNormalization.value;
+    els.status.textContent = `evaluation • init ${backend}…`;
+    r = await createRunner(task, { accelerator: backend, overrides });
+    await r.init();
+
+    const common = {
+      runner: r,
+      items: evalItems,
+      shouldStop: () => run.stop,
+      onProgress: (done, total) => {
+        setProgress(PB_ID, (done / total) * 100);
+        els.status.textContent = `evaluation • ${done}/${total} images`;
+      },
+    };
+    const result = seg
+      ? await runSegmentationEval({ ...common, binary: task.runner === 'SegmenterSelfie', classNames: r.classLabels })
+      : await runClassificationEval(common);
+    lastEval = {
+      kind: `eval-${kind}`,
+      task: task.id,
+      createdAt: new Date().toISOString(),
+      env: { userAgent: navigator.userAgent, runtime: await runtimeFeatures(), gpu: gpuAdapterInfo },
+      ...runnerInfo(r),
+      ...(seg ? {} : { normalization: r.normalization }),
+      stopped: run.stop,
+      ...result,
+    };
+    if (els.evalPanel) els.evalPanel.hidden = false;
+    if (els.evalTitle) els.evalTitle.textContent = `Evaluation • ${task.label || task.id} • ${r.describeBackend()}${seg ? '' : ` • ${r.normalization}`}`;
+    if (els.evalDownloadBtn) els.evalDownloadBtn.disabled = false;
+    const pct = (x) => `${(x * 100).toFixed(1)}%`;
+    els.status.textContent = seg
+      ? `evaluation → mIoU ${pct(result.mIoU)}, pixel accuracy ${pct(result.pixelAccuracy)}, boundary F ${pct(result.boundaryF)} over ${result.n} images`
+      : `evaluation → top-1 ${pct(result.top1)}, top-5 ${pct(result.top5)} over ${result.n} images`;
+    if (els.evalResults) {
+      if (seg) await renderSegmentationEval(els.evalResults, result);
+      else renderClassificationEval(els.evalResults, result);
+    }
+  } catch (err) {
+    console.error(err);
+    els.status.textContent = `evaluation error: ${err?.message || err}`;
+  } finally {
+    r?.dispose();
+    evalRun = null;
+    els.evalBtn.textContent = 'Run eval';
+    showProgress(PB_ID, false);
+  }
+});
+
+// Picked files only exist as object URLs, which mean nothing outside this page; previews are
+// label maps for the gallery
+const EVAL_PAGE_ONLY = new Set(['preview', 'maskFile']);
+els.evalDownloadBtn?.addEventListener('click', () => {
+  if (!lastEval) return;
+  const stamp = lastEval.createdAt.replace(/[:.]/g, '-');
+  const json = JSON.stringify(lastEval, (k, v) => (EVAL_PAGE_ONLY.has(k) || (k === 'src' && String(v).startsWith('blob:')) ? undefined : v), 2);
+  downloadText(`${lastEval.kind}-${lastEval.task}-${stamp}.json`, json, 'application/json');
+});
+
+// ---- Model inspector: signature, ops and per-accelerator compile report (see model_inspector.js) ----
+async function inspectSelected() {
+  if (!els.modelInfo || !els.taskSelect || !listTasks().length) return;
+  const task = getTask(els.taskSelect.value);
+  try {
+    renderModelInfo(els.modelInfo, await inspectTaskModel(task), task.modelUrl);
+  } catch (e) {
+    console.warn('[inspector]', e);
+    els.modelInfo.textContent = e?.message || String(e);
+  }
+}
+
+els.inspectBtn?.addEventListener('click', async () => {
+  await inspectSelected();
+  refreshCachePanel();
+});
+
+els.probeBtn?.addEventListener('click', async () => {
+  if (!els.taskSelect || !listTasks().length) return;
+  if (running) {
+    els.status.textContent = 'stop the live run before checking accelerators';
+    return;
+  }
+  const task = getTask(els.taskSelect.value);
+  els.probeBtn.disabled = true;
+  els.compileReport.textContent = `compiling ${task.label || task.id} on WebGPU and WASM…`;
+  try {
+    renderCompileReport(els.compileReport, await probeAccelerators(task, createRunner));
+    await inspectSelected();
+    refreshCachePanel();
+  } finally {
+    els.probeBtn.disabled = false;
+  }
+});
+
+// ---- Custom .tflite: inspect, bind to a postprocessor, register as task "custom" (see custom_model.js) ----
+let customFile = null, customBytes = null;
+
+const setCustomStatus = (text) => { if (els.customStatus) els.customStatus.textContent = text; };
+
+if (els.customPostprocessor) {
+  els.customPostprocessor.replaceChildren(...Object.entries(POSTPROCESSORS).map(([k, p]) => new Option(p.label, k)));
+  els.customDecoder.replaceChildren(...DECODER_NAMES.map(n => new Option(n, n)));
+  els.customPostprocessor.addEventListener('change', () => {
+    els.customDecoder.style.display = els.customPostprocessor.value === 'detection' ? '' : 'none';
+    if (els.customNormalization) els.customNormalization.style.display = els.customPostprocessor.value === 'classification' ? '' : 'none';
+  });
+}
+
+async function loadCustomModel(file) {
+  customFile = file;
+  customBytes = new Uint8Array(await file.arrayBuffer());
+  els.customBindRow.style.display = 'none';
+  setCustomStatus(`inspecting ${file.name}…`);
+  try {
+    const signature = await inspectModel(customBytes);
+    els.customSignature.textContent = describeSignature(signature);
+    els.customSignature.style.display = '';
+    const { postprocessor, decoder } = suggestBinding(signature);
+    els.customPostprocessor.value = postprocessor;
+    if (decoder) els.customDecoder.value = decoder;
+    els.customPostprocessor.dispatchEvent(new Event('change'));
+    els.customBindRow.style.display = '';
+    setCustomStatus(`${file.name}: ${(customBytes.byteLength / (1024 * 1024)).toFixed(1)} MB • suggested: ${POSTPROCESSORS[postprocessor].label}${decoder ? ` (${decoder})` : ''}`);
+  } catch (e) {
+    console.error(e);
+    customFile = customBytes = null;
+    els.customSignature.style.display = 'none';
+    setCustomStatus(`${file.name} did not compile: ${e?.message || e}`);
+  }
+}
+
+function addCustomTask(task, { select = true } = {}) {
+  registerTask(task);
+  if (els.taskSelect) {
+    els.taskSelect.querySelector(`option[value="${CUSTOM_TASK_ID}"]`)?.remove();
+    els.taskSelect.add(new Option(task.label, task.id));
+    if (select) {
+      els.taskSelect.value = task.id;
+      onTaskChange();
+    }
+  }
+  setCustomStatus(`bound: ${task.label}`);
+}
+
+els.customModelFile?.addEventListener('change', () => {
+  const file = els.customModelFile.files?.[0];
+  if (file) loadCustomModel(file);
+});
+
+els.customUseBtn?.addEventListener('click', async () => {
+  if (!customFile) return;
+  try {
+    const labelsFile = els.customLabels?.files?.[0];
+    const task = await createCustomTask(customFile, customBytes, {
+      postprocessor: els.customPostprocessor.value,
+      decoder: els.customDecoder.value,
+      normalization: els.customNormalization?.value,
+      labels: labelsFile ? await readLabels(labelsFile) : null,
+    });
+    addCustomTask(task);
+    saveBinding(task);
+    refreshCachePanel();
+  } catch (e) {
+    console.error(e);
+    setCustomStatus(e?.message || String(e));
+  }
+});
+
+// ---- Unattended mode: ?bench=... runs the matrix on load and POSTs the report (see unattended.js) ----
+async function runUnattended(params) {
+  setBenchState('running');
+  try {
+    if (params.source) {
+      if (els.status) els.status.textContent = `unattended • loading ${params.source}…`;
+      await useFile(await fetchFixture(params.source));
+    }
+    const report = await runAll({ ...params, tasks: params.tasks.map(getTask) });
+    const tags = { ...(await currentTags()), ...Object.fromEntries(Object.entries(params.tags).filter(([, v]) => v)) };
+    if (params.sink) {
+      const { file } = await postReport(params.sink, report, tags);
+      if (els.status) els.status.textContent += ` • saved to ${file}`;
+    }
+    setBenchState('done');
+  } catch (err) {
+    console.error(err);
+    if (els.status) els.status.textContent = `unattended error: ${err?.message || err}`;
+    setBenchState('error');
+    if (params.sink) postReport(params.sink, null, { error: String(err?.message || err) }).catch(console.error);
+  }
+}
+
+// Switching between main-thread and worker inference restarts a running session
+els.useWorker?.addEventListener('change', async () => {
+  if (running) await restartWithCurrentSettings();
+});
+
 function loop(ts = performance.now()) {
   if (!running) return;
 
-  resizeCanvasToVideo(els.canvas, els.video);
+  const frame = frameEl();
+  resizeCanvasToVideo(els.canvas, frame);
   const t0 = performance.now();
 
   if (!runner) {
     // schedule next frame and bail early
-    if ("requestVideoFrameCallback" in HTMLVideoElement.prototype) {
-      els.video.requestVideoFrameCallback(loop);
-    } else {
-      rafId = requestAnimationFrame(loop);
-    }
+    scheduleLoop();
     return;
   }
 
@@ -399,11 +1532,14 @@ function loop(ts = performance.now()) {
     const minInterval = Math.max(0, Number(els.segInterval?.value || 0));
     if ((t0 - lastSegTs) >= minInterval) {
       lastSegTs = t0;
+      const alpha = Math.min(1, Math.max(0, Number(els.overlayAlpha?.value || 0.5)));
       runner
-        .run(els.video)
-        .then(({ rgba, width, height }) => {
-          const alpha = Math.min(1, Math.max(0, Number(els.overlayAlpha?.value || 0.5)));
-          drawSegmentationOverlay(els.canvas, els.video, rgba, width, height, alpha);
+        .run(frame, { alpha })
+        .then((mask) => {
+          if (!mask) return; // worker still busy with the previous frame
+          if (!mask.rendered) drawTimed(() => drawMask(mask, alpha), true); // otherwise the worker drew it
+          if (mask.present) drawSegLegend(els.segLegend, mask.present);
+          if (runner.profile) recordStages(runner.lastTimings);
 
           // perf
           const dt = performance.now() - t0;
@@ -413,18 +1549,25 @@ function loop(ts = performance.now()) {
             perfEl.textContent = `${runner.backendName} • ${runner.type} • ${fpsEMA.toFixed(1)} FPS`;
             lastPerfUpdate = t0;
             setGpuFps(fpsEMA);
+            renderStageBar();
           }
         })
         .catch(console.error);
     }
   } else {
-    // Classifier: throttle to ~5 FPS
-    if (!classifyInFlight && ts - lastClassifyTs >= CLASSIFY_INTERVAL_MS) {
+    // Classifier: throttle to ~5 FPS; Detector: ~15 FPS
+    const minInterval = runner.type === 'detector' ? DETECT_INTERVAL_MS : CLASSIFY_INTERVAL_MS;
+    if (!classifyInFlight && ts - lastClassifyTs >= minInterval) {
       classifyInFlight = true;
       runner
-        .run(els.video)
+        .run(frame)
         .then((result) => {
-          drawTopK(els.canvas, result);
+          if (!result) return;
+          drawTimed(() => {
+            if (runner.type === 'detector') drawDetections(els.canvas, result);
+            else drawTopK(els.canvas, result);
+          });
+          if (runner.profile) recordStages(runner.lastTimings);
           // perf
           const dt = performance.now() - t0;
           const fps = dt > 0 ? 1000 / dt : 0;
@@ -432,6 +1575,7 @@ function loop(ts = performance.now()) {
           if (perfEl && (t0 - lastPerfUpdate) > PERF_UPDATE_MS) {
             perfEl.textContent = `${runner.backendName} • ${runner.type} • ${fpsEMA.toFixed(1)} FPS`;
             lastPerfUpdate = t0;
+            renderStageBar();
             // Append live FPS to GPU info pill
             if (els.gpuInfo) {
               const base = els.gpuInfo.textContent || '';
@@ -448,15 +1592,44 @@ function loop(ts = performance.now()) {
   }
 
   // schedule next frame once at the end
-  if ("requestVideoFrameCallback" in HTMLVideoElement.prototype) {
-    els.video.requestVideoFrameCallback(loop);
-  } else {
-    rafId = requestAnimationFrame(loop);
+  scheduleLoop();
+}
+// ---- Output agreement helpers for the comparisons (metrics in agreement.js) ----
+
+// LiteRT on WebGPU vs the WASM output already read back for the same frame
+async function gpuAgreement(task, frame, wasmOutput) {
+  const g = await createRunner(task, { accelerator: 'webgpu' });
+  try {
+    await g.init();
+    if (g.accelerator !== 'webgpu') return { gpuSkipped: `no WebGPU run (${g.fallbackReason})` };
+    const [out] = await g.rawOutputs(frame);
+    return { gpuMaxAbsDiff: maxAbsDiff(out, wasmOutput) };
+  } catch (e) {
+    return { gpuSkipped: `WebGPU failed (${e?.message || e})` };
+  } finally {
+    g.dispose();
   }
 }
+
+// body-segmentation result -> { data, width, height } person probability in 0..1 (zeros if nobody)
+async function personProbabilities(tf, people, frame) {
+  if (!people.length) return { data: new Float32Array(frame.width * frame.height), width: frame.width, height: frame.height };
+  const t = await people[0].mask.toTensor();
+  const p = tf.tidy(() => {
+    const m = t.rank === 3 ? t.slice([0, 0, 0], [-1, -1, 1]).squeeze([2]) : t; // RGBA masks carry it in R
+    return m.max().dataSync()[0] > 1 ? m.div(255) : m.toFloat();
+  });
+  t.dispose();
+  const [height, width] = p.shape;
+  const data = await p.data();
+  p.dispose();
+  return { data, width, height };
+}
+
 // ---- CPU Comparison: LiteRT WASM (XNNPACK) vs TFJS-CPU (classification) ----
 if (els.compareClsBtn) {
   els.compareClsBtn.addEventListener('click', async () => {
+    let model = null, r = null;
     try {
       setModelPathHintFor('classification');
       const PB_ID = 'progress-compare-cls';
@@ -466,18 +1639,19 @@ if (els.compareClsBtn) {
 
       const tfmod = await import('@tensorflow/tfjs');
       const tf = tfmod.default || tfmod;
-      await setupWebcam(els.video, { width: 640, height: 480 });
-      const INPUT = 224;
+      const clsTask = getTask('classification');
+      await ensureSource();
+      const INPUT = clsTask.input?.width || 224;
 
-      // Preprocess once on CPU
+      // One snapshot for both sides: identical pixels for the timings and the agreement check
+      const frame = snapshotFrame(frameEl());
       await tf.setBackend('cpu');
       await tf.ready();
-      const inputNCHW = tf.tidy(() => {
-        const img = tf.browser.fromPixels(els.video).toFloat();
-        const resized = tf.image.resizeBilinear(img, [INPUT, INPUT]).div(255);
-        return resized.reshape([1, INPUT, INPUT, 3]).transpose([0,3,1,2]); // NCHW
+      // tfjs mobilenet takes 0..255 pixels and rescales them to its own input range
+      const inputNHWC = tf.tidy(() => {                                       // NHWC for TFJS model
+        const img = tf.browser.fromPixels(frame).toFloat();
+        return tf.image.resizeBilinear(img, [INPUT, INPUT]).reshape([1, INPUT, INPUT, 3]);
       });
-      const inputNHWC = tf.tidy(() => inputNCHW.transpose([0,2,3,1]));      // NHWC for TFJS model
 
       const results = [];
 
@@ -485,65 +1659,75 @@ if (els.compareClsBtn) {
       if (els.compareStatus) els.compareStatus.textContent = 'comparison • TFJS-CPU…';
       const mobilenetMod = await import('@tensorflow-models/mobilenet');
       const mobilenet = mobilenetMod.default || mobilenetMod;
-      const model = await mobilenet.load({ version: 2, alpha: 1.0 });
+      model = await mobilenet.load({ version: 2, alpha: 1.0 });
 
       const inputNHWC_on = inputNHWC.clone();
       const WARM_T = 5, RUNS_T = 20;
-      for (let i = 0; i < WARM_T; i++) { model.infer(inputNHWC_on, 'conv_preds').dispose?.(); }
-      const t0 = performance.now();
-      for (let i = 0; i < RUNS_T; i++) { model.infer(inputNHWC_on, 'conv_preds').dispose?.(); }
-      const t1 = performance.now();
+      // infer(x, false) -> class logits (a truthy second argument would return the embedding)
+      for (let i = 0; i < WARM_T; i++) { model.infer(inputNHWC_on, false).dispose?.(); }
+      const tfjsSamples = await timeRuns(() => { model.infer(inputNHWC_on, false).dispose?.(); }, RUNS_T);
+      const tfjsLogitsT = model.infer(inputNHWC_on, false);
+      const tfjsLogits = await tfjsLogitsT.data();
+      tfjsLogitsT.dispose();
       inputNHWC_on.dispose();
-      model.dispose?.();
 
       setProgress(PB_ID, 33);
 
-      const avgT = (t1 - t0) / RUNS_T;
-      results.push({ backend: 'TFJS-CPU', avgMs: avgT.toFixed(1), fps: (1000/avgT).toFixed(1) });
+      results.push({
+        name: 'TFJS-CPU', modelUrl: '@tensorflow-models/mobilenet v2 1.0', input: { width: INPUT, height: INPUT, layout: 'NHWC' },
+        warmup: WARM_T, runs: RUNS_T, stats: summarize(tfjsSamples), samples: tfjsSamples,
+      });
 
       // LiteRT WASM
       if (els.compareStatus) els.compareStatus.textContent = 'comparison • LiteRT WASM…';
-      const r = new Classifier({
-        modelUrl: '/models/torchvision_mobilenet_v2.tflite',
-        labelsUrl: '/models/imagenet_labels.txt',
-        wasmPath: '/wasm/',
-        accelerator: 'wasm',
-      });
+      r = await createRunner(clsTask, { accelerator: 'wasm' });
       await r.init();
       setProgress(PB_ID, 70);
 
       const { runWithTfjsTensors } = await import('@litertjs/tfjs-interop');
-      const inputNCHW_on = inputNCHW.clone();
+      // Same frame, preprocessed like the runner does it: the signature's size/layout and the
+      // model's own normalization (torchvision mean/std for the default export), not raw [0,1]
+      const inputLite_on = tf.tidy(() => r.preprocess(frame, r.normalization));
       const WARM_L = 10, RUNS_L = 50;
       for (let i = 0; i < WARM_L; i++) {
-        runWithTfjsTensors(r.model, inputNCHW_on).forEach(t => t.dispose?.());
+        runWithTfjsTensors(r.model, inputLite_on).forEach(t => t.dispose?.());
       }
       setProgress(PB_ID, 85);
-      const l0 = performance.now();
-      for (let i = 0; i < RUNS_L; i++) {
-        runWithTfjsTensors(r.model, inputNCHW_on).forEach(t => t.dispose?.());
-      }
-      const l1 = performance.now();
-      inputNCHW_on.dispose();
+      const liteSamples = await timeRuns(() => {
+        runWithTfjsTensors(r.model, inputLite_on).forEach(t => t.dispose?.());
+      }, RUNS_L);
+      inputLite_on.dispose();
+
+      // Agreement on the snapshot, TFJS (background class dropped) as the reference; then LiteRT WebGPU vs WASM
+      if (els.compareStatus) els.compareStatus.textContent = 'comparison • agreement…';
+      const [liteLogits] = await r.rawOutputs(frame);
+      const agreement = { ...classificationAgreement(imagenet1000(tfjsLogits), liteLogits), ...(await gpuAgreement(clsTask, frame, liteLogits)) };
 
       setProgress(PB_ID, 100);
       showProgress(PB_ID, false);
 
-      const avgL = (l1 - l0) / RUNS_L;
-      results.push({ backend: 'LiteRT WASM (XNNPACK)', avgMs: avgL.toFixed(1), fps: (1000/avgL).toFixed(1) });
+      results.push({
+        name: 'LiteRT WASM (XNNPACK)', ...runnerInfo(r),
+        warmup: WARM_L, runs: RUNS_L, stats: summarize(liteSamples), samples: liteSamples, agreement,
+      });
 
       // Cleanup shared tensors
-      inputNCHW.dispose(); inputNHWC.dispose();
+      inputNHWC.dispose();
 
+      await buildReport('compare-classification', 'classification', results);
       if (els.compareStatus) {
         els.compareStatus.textContent =
           'CPU comparison (classification) → ' +
-          results.map(r => `${r.backend}: ${r.avgMs} ms (${r.fps} FPS)`).join(' • ');
+          results.map(r => `${r.name}: ${formatStats(r.stats)}`).join(' • ') +
+          ` • agreement: ${formatAgreement(agreement)}`;
       }
     } catch (err) {
       console.error(err);
       showProgress('progress-compare-cls', false);
       if (els.compareStatus) els.compareStatus.textContent = `comparison error: ${err?.message || err}`;
+    } finally {
+      model?.dispose?.();
+      r?.dispose();
     }
   });
 }
@@ -551,6 +1735,7 @@ if (els.compareClsBtn) {
 // ---- CPU Comparison: Segmentation (Selfie Multiclass or Selfie) ----
 if (els.compareSegBtn) {
   els.compareSegBtn.addEventListener('click', async () => {
+    let tfSeg = null, seg = null;
     try {
       setModelPathHintFor('selfie');
       const PB_ID = 'progress-compare-seg';
@@ -558,7 +1743,8 @@ if (els.compareSegBtn) {
       showProgress(PB_ID, true);
       setProgress(PB_ID, 0);
 
-      await setupWebcam(els.video, { width: 640, height: 480 });
+      await ensureSource();
+      const frame = snapshotFrame(frameEl()); // same pixels for both sides (see the classification comparison)
 
       // --- TFJS-CPU baseline via @tensorflow-models/body-segmentation ---
       if (els.compareStatus) els.compareStatus.textContent = `comparison • Segmentation • TFJS-CPU…`;
@@ -575,29 +1761,18 @@ if (els.compareSegBtn) {
       if (!tfModelEnum) throw new Error('MediaPipeSelfieSegmentation not available in this body-segmentation version.');
       tfOptions = { runtime: 'tfjs', modelType: 'general' };
 
-      const tfSeg = await bodySeg.createSegmenter(tfModelEnum, tfOptions);
+      tfSeg = await bodySeg.createSegmenter(tfModelEnum, tfOptions);
       const WARM_T = 3, RUNS_T = 10;
-      for (let i = 0; i < WARM_T; i++) { await tfSeg.segmentPeople(els.video); }
+      for (let i = 0; i < WARM_T; i++) { await tfSeg.segmentPeople(frame); }
       setProgress(PB_ID, 30);
-      const t0 = performance.now();
-      for (let i = 0; i < RUNS_T; i++) { await tfSeg.segmentPeople(els.video); }
-      const t1 = performance.now();
+      const tfjsSamples = await timeRuns(() => tfSeg.segmentPeople(frame), RUNS_T);
       setProgress(PB_ID, 55);
-      const tfjsAvgMs = (t1 - t0) / RUNS_T;
-      const tfjsFps = 1000 / tfjsAvgMs;
+      const tfjsStats = summarize(tfjsSamples);
+      const tfjsMask = await personProbabilities(tf, await tfSeg.segmentPeople(frame), frame);
 
       // --- LiteRT WASM (XNNPACK) ---
       if (els.compareStatus) els.compareStatus.textContent += ' • LiteRT WASM…';
-      let seg;
-      const { SegmenterSelfie } = await import('./segmenter_selfie.js');
-      seg = new SegmenterSelfie({
-        modelUrl: '/models/selfie_general_256x256.tflite',
-        wasmPath: '/wasm/',
-        accelerator: 'wasm',
-        inputSize: 256,
-        threshold: 0.5,
-        color: [26,211,106],
-      });
+      seg = await createRunner('selfie', { accelerator: 'wasm' });
 
       const tInit0 = performance.now();
       await seg.init();
@@ -605,27 +1780,40 @@ if (els.compareSegBtn) {
       const tInit1 = performance.now();
 
       const WARM = 5, RUNS = 20;
-      for (let i = 0; i < WARM; i++) { await seg.run(els.video); }
+      for (let i = 0; i < WARM; i++) { await seg.run(frame); }
       setProgress(PB_ID, 85);
-      const l0 = performance.now();
-      for (let i = 0; i < RUNS; i++) { await seg.run(els.video); }
-      const l1 = performance.now();
+      const liteSamples = await timeRuns(() => seg.run(frame), RUNS);
+      const liteStats = summarize(liteSamples);
+
+      // Mask agreement at the model's output resolution, then LiteRT WebGPU vs WASM
+      const [liteMask] = await seg.rawOutputs(frame);
+      const outShape = Array.from(seg.outputDetails[0].shape);
+      const [oh, ow] = outShape[3] === 1 ? [outShape[1], outShape[2]] : [outShape[2], outShape[3]];
+      const refT = tf.tidy(() => tf.image.resizeBilinear(tf.tensor3d(tfjsMask.data, [tfjsMask.height, tfjsMask.width, 1]), [oh, ow]));
+      const refMask = await refT.data();
+      refT.dispose();
+      const agreement = { maskIoU: maskIoU(refMask, liteMask, seg.threshold), ...(await gpuAgreement('selfie', frame, liteMask)) };
       setProgress(PB_ID, 100);
       showProgress(PB_ID, false);
 
-      const liteAvg = (l1 - l0) / RUNS;
-      const liteFps = 1000 / liteAvg;
-
+      await buildReport('compare-segmentation', 'selfie', [
+        { name: 'TFJS-CPU', modelUrl: 'body-segmentation MediaPipeSelfieSegmentation general', warmup: WARM_T, runs: RUNS_T, stats: tfjsStats, samples: tfjsSamples },
+        { name: 'LiteRT WASM', ...runnerInfo(seg), initMs: tInit1 - tInit0, warmup: WARM, runs: RUNS, stats: liteStats, samples: liteSamples, agreement },
+      ]);
       if (els.compareStatus) {
         els.compareStatus.textContent =
-          `CPU comparison (segmentation: ) → ` +
-          `TFJS-CPU: ${isFinite(tfjsAvgMs) ? tfjsAvgMs.toFixed(1) + ' ms (' + tfjsFps.toFixed(1) + ' FPS)' : 'N/A'} • ` +
-          `LiteRT WASM: init ${(tInit1 - tInit0).toFixed(1)} ms, ${liteAvg.toFixed(1)} ms (${liteFps.toFixed(1)} FPS)`;
+          `CPU comparison (segmentation: selfie) → ` +
+          `TFJS-CPU: ${formatStats(tfjsStats)} • ` +
+          `LiteRT WASM: init ${(tInit1 - tInit0).toFixed(1)} ms, ${formatStats(liteStats)} • ` +
+          `agreement: ${formatAgreement(agreement)}`;
       }
     } catch (err) {
       console.error(err);
       showProgress('progress-compare-seg', false);
       if (els.compareStatus) els.compareStatus.textContent = `comparison error: ${err?.message || err}`;
+    } finally {
+      tfSeg?.dispose?.();
+      seg?.dispose();
     }
   });
 }
\ No newline at end of file
@@ -0,0 +1,317 @@
+// public/js/mask_compositor.js
+// WebGL2 compositor for segmentation overlays. The runner hands over the low-resolution label map
+// (e.g. 256x256 bytes); palette lookup, upsampling to the video size and alpha blending over the
+// video frame all happen in a fragment shader. This replaces the per-pixel JS loop at full video
+// resolution plus putImageData/drawImage that drawSegmentationOverlay() does.
+//
+// Besides the colored overlay there are background effects for person segmenters (virtual
+// background): blur, replacement with an image/video, and a solid chroma-key color. Classes
+// with a palette entry count as foreground, the transparent class (0) as background.
+// The composited canvas can be captured as a MediaStream with captureStream().
+//
+// Soft masks: when the runner sends `alpha` (0..255 foreground probability) it is uploaded as a
+// LINEAR texture, so it is upsampled bilinearly and used as per-pixel blend weight. Edge
+// refinement (effect.refine) re-weights the alpha with a joint bilateral filter guided by the
+// video frame, snapping the coarse mask edge to color edges.
+
+export const EFFECT_MODES = ['overlay', 'blur', 'replace', 'color'];
+
+const VERT = `#version 300 es
+in vec2 aPos;
+out vec2 vUv;
+void main() {
+  // clip space -> texture space with row 0 at the top (matches video/label upload order)
+  vUv = vec2((aPos.x + 1.0) * 0.5, 1.0 - (aPos.y + 1.0) * 0.5);
+  gl_Position = vec4(aPos, 0.0, 1.0);
+}`;
+
+const FRAG = `#version 300 es
+precision mediump float;
+uniform sampler2D uFrame;    // video frame, RGBA
+uniform sampler2D uLabels;   // class index per texel (R8, NEAREST)
+uniform sampler2D uPalette;  // 256x1 RGBA, alpha 0 = transparent class
+uniform float uAlpha;        // overlay strength
+uniform int uMode;           // index into EFFECT_MODES
+uniform float uBlurLod;      // blur strength as a mip level of uFrame
+uniform sampler2D uBackground;
+uniform vec2 uBgScale;       // object-fit: cover for the replacement background
+uniform vec3 uKeyColor;
+uniform sampler2D uMaskAlpha; // soft foreground probability (R8, LINEAR)
+uniform bool uSoft;
+uniform bool uRefine;
+uniform float uRefineSigma;  // color distance that still counts as "same surface"
+in vec2 vUv;
+out vec4 outColor;
+
+// 3x3 taps on a coarse mip level: cheap, and smooth enough for a background
+vec3 blurred(vec2 uv) {
+  vec2 stride = exp2(uBlurLod) / vec2(textureSize(uFrame, 0));
+  vec3 acc = vec3(0.0);
+  for (int y = -1; y <= 1; y++) {
+    for (int x = -1; x <= 1; x++) {
+      acc += textureLod(uFrame, uv + vec2(x, y) * stride, uBlurLod).rgb;
+    }
+  }
+  return acc / 9.0;
+}
+
+// Joint bilateral: average mask alpha over a 5x5 neighbourhood (mask texel spacing), weighting
+// each tap by how close its video color is to the center pixel.
+float refinedAlpha(vec2 uv, vec3 center) {
+  vec2 px = 1.0 / vec2(textureSize(uMaskAlpha, 0));
+  float sum = 0.0;
+  float wsum = 0.0;
+  for (int y = -2; y <= 2; y++) {
+    for (int x = -2; x <= 2; x++) {
+      vec2 o = vec2(x, y) * px;
+      vec3 col = textureLod(uFrame, uv + o, 0.0).rgb;
+      float d = distance(col, center);
+      float w = exp(-(d * d) / (2.0 * uRefineSigma * uRefineSigma));
+      sum += texture(uMaskAlpha, uv + o).r * w;
+      wsum += w;
+    }
+  }
+  return sum / max(wsum, 1e-4);
+}
+
+void main() {
+  vec4 frame = textureLod(uFrame, vUv, 0.0);
+  int cls = int(floor(texture(uLabels, vUv).r * 255.0 + 0.5));
+  vec4 c = texelFetch(uPalette, ivec2(cls, 0), 0);
+  float fg = step(0.001, c.a);
+  if (uSoft) fg *= uRefine ? refinedAlpha(vUv, frame.rgb) : texture(uMaskAlpha, vUv).r;
+  if (uMode == 0) {
+    outColor = vec4(mix(frame.rgb, c.rgb, c.a * uAlpha * (uSoft ? fg : 1.0)), 1.0);
+    return;
+  }
+  vec3 bg;
+  if (uMode == 1) bg = blurred(vUv);
+  else if (uMode == 2) bg = texture(uBackground, (vUv - 0.5) * uBgScale + 0.5).rgb;
+  else bg = uKeyColor;
+  outColor = vec4(mix(bg, frame.rgb, fg), 1.0);
+}`;
+
+function compile(gl, type, src) {
+  const sh = gl.createShader(type);
+  gl.shaderSource(sh, src);
+  gl.compileShader(sh);
+  if (!gl.getShaderParameter(sh, gl.COMPILE_STATUS)) {
+    const log = gl.getShaderInfoLog(sh);
+    gl.deleteShader(sh);
+    throw new Error(`MaskCompositor shader error: ${log}`);
+  }
+  return sh;
+}
+
+export function createProgram(gl, vertSrc, fragSrc) {
+  const prog = gl.createProgram();
+  gl.attachShader(prog, compile(gl, gl.VERTEX_SHADER, vertSrc));
+  gl.attachShader(prog, compile(gl, gl.FRAGMENT_SHADER, fragSrc));
+  gl.linkProgram(prog);
+  if (!gl.getProgramParameter(prog, gl.LINK_STATUS)) {
+    throw new Error(`MaskCompositor link error: ${gl.getProgramInfoLog(prog)}`);
+  }
+  return prog;
+}
+
+function makeTexture(gl, filter) {
+  const tex = gl.createTexture();
+  gl.bindTexture(gl.TEXTURE_2D, tex);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, filter);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, filter);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+  return tex;
+}
+
+export class MaskCompositor {
+  /** Throws if WebGL2 is unavailable; callers fall back to the 2D-canvas path. */
+  constructor(canvas) {
+    const gl = canvas.getContext('webgl2', { alpha: false, antialias: false, premultipliedAlpha: false, preserveDrawingBuffer: false });
+    if (!gl) throw new Error('WebGL2 not available');
+    this.canvas = canvas;
+    this.gl = gl;
+
+    this.program = createProgram(gl, VERT, FRAG);
+    this.loc = {
+      aPos: gl.getAttribLocation(this.program, 'aPos'),
+      uFrame: gl.getUniformLocation(this.program, 'uFrame'),
+      uLabels: gl.getUniformLocation(this.program, 'uLabels'),
+      uPalette: gl.getUniformLocation(this.program, 'uPalette'),
+      uAlpha: gl.getUniformLocation(this.program, 'uAlpha'),
+      uMode: gl.getUniformLocation(this.program, 'uMode'),
+      uBlurLod: gl.getUniformLocation(this.program, 'uBlurLod'),
+      uBackground: gl.getUniformLocation(this.program, 'uBackground'),
+      uBgScale: gl.getUniformLocation(this.program, 'uBgScale'),
+      uKeyColor: gl.getUniformLocation(this.program, 'uKeyColor'),
+      uMaskAlpha: gl.getUniformLocation(this.program, 'uMaskAlpha'),
+      uSoft: gl.getUniformLocation(this.program, 'uSoft'),
+      uRefine: gl.getUniformLocation(this.program, 'uRefine'),
+      uRefineSigma: gl.getUniformLocation(this.program, 'uRefineSigma'),
+    };
+
+    // full-screen quad (two triangles)
+    this.vao = gl.createVertexArray();
+    gl.bindVertexArray(this.vao);
+    const buf = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, buf);
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1,-1, 1,-1, -1,1, -1,1, 1,-1, 1,1]), gl.STATIC_DRAW);
+    gl.enableVertexAttribArray(this.loc.aPos);
+    gl.vertexAttribPointer(this.loc.aPos, 2, gl.FLOAT, false, 0, 0);
+    gl.bindVertexArray(null);
+
+    this.frameTex = makeTexture(gl, gl.LINEAR);
+    this.labelTex = makeTexture(gl, gl.NEAREST);   // class ids must not be interpolated
+    this.paletteTex = makeTexture(gl, gl.NEAREST);
+    this.alphaTex = makeTexture(gl, gl.LINEAR);    // soft masks are upsampled bilinearly
+    this._paletteKey = null;
+
+    this.bgTex = makeTexture(gl, gl.LINEAR);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, 1, 1, 0, gl.RGBA, gl.UNSIGNED_BYTE, new Uint8Array([0, 0, 0, 255]));
+    this.background = null;   // HTMLImageElement | HTMLVideoElement | canvas
+    this._bgUploaded = false;
+
+    this.effect = { mode: 'overlay', blur: 3, keyColor: [0, 177, 64], refine: false, refineSigma: 0.1 };
+  }
+
+  /**
+   * mode: 'overlay' | 'blur' | 'replace' | 'color'; blur: 0..6 (mip levels);
+   * keyColor: [r,g,b] for 'color'; refine: guided edge refinement for soft masks.
+   * Unset fields keep their current value.
+   */
+  setEffect({ mode, blur, keyColor, refine, refineSigma } = {}) {
+    if (mode !== undefined) {
+      if (!EFFECT_MODES.includes(mode)) throw new Error(`Unknown effect mode "${mode}"`);
+      this.effect.mode = mode;
+    }
+    if (blur !== undefined) this.effect.blur = Math.max(0, Math.min(6, Number(blur)));
+    if (keyColor !== undefined) this.effect.keyColor = keyColor;
+    if (refine !== undefined) this.effect.refine = !!refine;
+    if (refineSigma !== undefined) this.effect.refineSigma = Number(refineSigma);
+  }
+
+  /** Replacement background for 'replace' mode. Videos are re-uploaded every frame. */
+  setBackground(source) {
+    this.background = source || null;
+    this._bgUploaded = false;
+  }
+
+  /** The composited output as a MediaStream (e.g. for a <video> element or WebRTC). */
+  captureStream(fps = 30) {
+    return this.canvas.captureStream(fps);
+  }
+
+  _uploadBackground() {
+    const gl = this.gl;
+    const src = this.background;
+    const isVideo = typeof HTMLVideoElement !== 'undefined' && src instanceof HTMLVideoElement;
+    if (!src || (this._bgUploaded && !isVideo)) return;
+    if (isVideo && src.readyState < 2) return; // no frame yet
+    gl.bindTexture(gl.TEXTURE_2D, this.bgTex);
+    gl.pixelStorei(gl.UNPACK_ALIGNMENT, 4);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, src);
+    this._bgUploaded = true;
+  }
+
+  // Scale that maps canvas UVs onto the background with object-fit: cover
+  _bgScale() {
+    const src = this.background;
+    const bw = src?.videoWidth || src?.naturalWidth || src?.width || 1;
+    const bh = src?.videoHeight || src?.naturalHeight || src?.height || 1;
+    const ca = this.canvas.width / this.canvas.height;
+    const ba = bw / bh;
+    return [Math.min(1, ca / ba), Math.min(1, ba / ca)];
+  }
+
+  /**
+   * Palette entries are [r,g,b] or null (transparent). `opacity` is the per-class alpha
+   * (0.86 ≈ the 220/255 the CPU path used).
+   */
+  setPalette(palette, opacity = 220 / 255) {
+    const key = palette;
+    if (key === this._paletteKey) return;
+    const gl = this.gl;
+    const data = new Uint8Array(256 * 4);
+    for (let i = 0; i < Math.min(256, palette.length); i++) {
+      const c = palette[i];
+      if (!c) continue;
+      data[i*4] = c[0] | 0; data[i*4+1] = c[1] | 0; data[i*4+2] = c[2] | 0;
+      data[i*4+3] = Math.round(opacity * 255);
+    }
+    gl.bindTexture(gl.TEXTURE_2D, this.paletteTex);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA8, 256, 1, 0, gl.RGBA, gl.UNSIGNED_BYTE, data);
+    this._paletteKey = key;
+  }
+
+  /**
+   * Draw `frameSource` (video/canvas/image) with the label map blended on top.
+   * mask: { labels: Uint8Array (width*height), width, height, palette, alpha?: Uint8Array }
+   */
+  render(frameSource, mask, { alpha = 0.5 } = {}) {
+    const gl = this.gl;
+    const W = this.canvas.width, H = this.canvas.height;
+    if (!W || !H) return;
+    gl.viewport(0, 0, W, H);
+    gl.useProgram(this.program);
+    gl.bindVertexArray(this.vao);
+
+    const { mode, blur, keyColor, refine, refineSigma } = this.effect;
+    const soft = !!mask.alpha;
+    const modeIndex = EFFECT_MODES.indexOf(mode);
+
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, this.frameTex);
+    gl.pixelStorei(gl.UNPACK_ALIGNMENT, 4);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, frameSource);
+    // blur samples coarse mip levels; only build them when needed
+    if (mode === 'blur') gl.generateMipmap(gl.TEXTURE_2D);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, mode === 'blur' ? gl.LINEAR_MIPMAP_LINEAR : gl.LINEAR);
+
+    gl.activeTexture(gl.TEXTURE1);
+    gl.bindTexture(gl.TEXTURE_2D, this.labelTex);
+    gl.pixelStorei(gl.UNPACK_ALIGNMENT, 1);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.R8, mask.width, mask.height, 0, gl.RED, gl.UNSIGNED_BYTE, mask.labels);
+
+    if (soft) {
+      gl.activeTexture(gl.TEXTURE4);
+      gl.bindTexture(gl.TEXTURE_2D, this.alphaTex);
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.R8, mask.width, mask.height, 0, gl.RED, gl.UNSIGNED_BYTE, mask.alpha);
+      gl.uniform1i(this.loc.uMaskAlpha, 4);
+    }
+    gl.uniform1i(this.loc.uSoft, soft ? 1 : 0);
+    gl.uniform1i(this.loc.uRefine, refine ? 1 : 0);
+    gl.uniform1f(this.loc.uRefineSigma, refineSigma);
+
+    this.setPalette(mask.palette);
+    gl.activeTexture(gl.TEXTURE2);
+    gl.bindTexture(gl.TEXTURE_2D, this.paletteTex);
+
+    gl.uniform1i(this.loc.uFrame, 0);
+    gl.uniform1i(this.loc.uLabels, 1);
+    gl.uniform1i(this.loc.uPalette, 2);
+    gl.uniform1f(this.loc.uAlpha, alpha);
+    gl.uniform1i(this.loc.uMode, modeIndex);
+    gl.uniform1f(this.loc.uBlurLod, blur);
+    gl.uniform3f(this.loc.uKeyColor, keyColor[0] / 255, keyColor[1] / 255, keyColor[2] / 255);
+
+    if (mode === 'replace') this._uploadBackground();
+    gl.activeTexture(gl.TEXTURE3);
+    gl.bindTexture(gl.TEXTURE_2D, this.bgTex);
+    gl.uniform1i(this.loc.uBackground, 3);
+    gl.uniform2fv(this.loc.uBgScale, this._bgScale());
+
+    gl.drawArrays(gl.TRIANGLES, 0, 6);
+    gl.bindVertexArray(null);
+  }
+
+  /** Block until the GPU has drawn everything submitted so far (for timing the draw stage). */
+  finish() {
+    this.gl.finish();
+  }
+
+  clear() {
+    const gl = this.gl;
+    gl.clearColor(0, 0, 0, 0);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+  }
+}
@@ -0,0 +1,123 @@
+// public/js/model_cache.js
+// Local copies of models and their label/palette files (Cache API), shared with the service
+// worker (sw.js): a .tflite is downloaded once, not twice per init() as with assertAsset +
+// loadAndCompile(url).
+//
+// Freshness: the first use of a cached entry per page load is revalidated with a HEAD request
+// (ETag, then Last-Modified, then Content-Length); offline, the cached copy is used as is. When a
+// task declares "sha256" in models.json, the model bytes are verified too, and a mismatching
+// cached copy is dropped and fetched again. Files put here by the page itself (putLocalFile, e.g.
+// an uploaded custom model) have no server copy and are never revalidated.
+
+export const MODEL_CACHE = 'litert-models-v1';
+export const CACHE_PREFIX = 'litert-'; // every cache this app owns (models here, app shell in sw.js)
+
+const hasCaches = () => typeof caches !== 'undefined';
+const checked = new Set(); // URLs revalidated during this page load
+
+const absolute = (url) => new URL(url, location.href).href;
+
+function validators(res) {
+  const h = res.headers;
+  return { etag: h.get('etag'), lastModified: h.get('last-modified'), length: h.get('content-length') };
+}
+
+async function isStale(url, cached) {
+  try {
+    const head = await fetch(url, { method: 'HEAD', cache: 'no-store' });
+    if (!head.ok) return false; // keep what we have
+    const a = validators(cached), b = validators(head);
+    if (a.etag && b.etag) return a.etag !== b.etag;
+    if (a.lastModified && b.lastModified) return a.lastModified !== b.lastModified;
+    return !!(a.length && b.length && a.length !== b.length);
+  } catch {
+    return false; // offline
+  }
+}
+
+/**
+ * fetch() through the model cache. Only successful, non-HTML responses are stored (dev servers
+ * answer missing files with index.html). Falls back to plain fetch() without the Cache API.
+ */
+export async function fetchCached(url) {
+  if (!hasCaches()) return fetch(url);
+  const key = absolute(url);
+  const cache = await caches.open(MODEL_CACHE);
+  const hit = await cache.match(key);
+  if (hit && (checked.has(key) || hit.headers.has('x-local-file') || !(await isStale(key, hit)))) {
+    checked.add(key);
+    return hit;
+  }
+
+  const res = await fetch(key, { cache: 'no-cache' }); // 'no-cache' also tells sw.js to skip its copy
+  if (!res.ok || (res.headers.get('content-type') || '').includes('text/html')) return res;
+  const headers = new Headers(res.headers);
+  headers.set('x-cached-at', new Date().toISOString());
+  const body = await res.blob();
+  await cache.put(key, new Response(body, { status: res.status, statusText: res.statusText, headers }));
+  checked.add(key);
+  return new Response(body, { status: res.status, statusText: res.statusText, headers });
+}
+
+/** Store bytes the page produced (an uploaded model, its labels) under a same-origin path. */
+export async function putLocalFile(path, bytes, type = 'application/octet-stream') {
+  if (!hasCaches()) throw new Error('The Cache API is not available here (it needs https or localhost).');
+  const headers = { 'content-type': type, 'content-length': String(bytes.byteLength), 'x-local-file': '1', 'x-cached-at': new Date().toISOString() };
+  await (await caches.open(MODEL_CACHE)).put(absolute(path), new Response(bytes, { headers }));
+}
+
+export async function hasCached(url) {
+  return hasCaches() && !!(await (await caches.open(MODEL_CACHE)).match(absolute(url)));
+}
+
+async function evict(url) {
+  if (hasCaches()) await (await caches.open(MODEL_CACHE)).delete(absolute(url));
+  checked.delete(absolute(url));
+}
+
+const hex = (buf) => [...new Uint8Array(buf)].map(b => b.toString(16).padStart(2, '0')).join('');
+
+/**
+ * Model bytes for loadAndCompile(), from the cache when possible. `sha256` (hex) is optional;
+ * it needs a secure context (https or localhost) and is skipped with a warning elsewhere.
+ */
+export async function loadModelBytes(url, sha256 = null) {
+  for (let attempt = 0; ; attempt++) {
+    const res = await fetchCached(url);
+    if (!res.ok) throw new Error(`Asset not found or not served: ${url} (HTTP ${res.status})`);
+    const ct = res.headers.get('content-type') || '';
+    if (ct.includes('text/html')) throw new Error(`Unexpected HTML at ${url}. Did you place the file under public/models/?`);
+    const bytes = new Uint8Array(await res.arrayBuffer());
+    if (!sha256) return bytes;
+    if (!globalThis.crypto?.subtle) {
+      console.warn(`[model_cache] ${url}: no crypto.subtle (insecure context); skipping SHA-256 check.`);
+      return bytes;
+    }
+    const digest = hex(await crypto.subtle.digest('SHA-256', bytes));
+    if (digest === sha256.toLowerCase()) return bytes;
+    await evict(url);
+    if (attempt > 0) throw new Error(`${url}: SHA-256 mismatch (expected ${sha256}, got ${digest}). Update "sha256" in models.json or replace the file.`);
+    console.warn(`[model_cache] ${url}: cached copy failed the SHA-256 check; downloading again.`);
+  }
+}
+
+/** Cached models/labels/runtimes: [{ url, size, cachedAt }] (cachedAt is null for copies stored by sw.js). */
+export async function listCached() {
+  if (!hasCaches()) return [];
+  const cache = await caches.open(MODEL_CACHE);
+  const out = [];
+  for (const req of await cache.keys()) {
+    const res = await cache.match(req);
+    const size = Number(res.headers.get('content-length')) || (await res.blob()).size;
+    out.push({ url: req.url, size, cachedAt: res.headers.get('x-cached-at') });
+  }
+  return out.sort((a, b) => b.size - a.size);
+}
+
+/** Drop every cache this app owns (models and the offline app shell). */
+export async function clearCaches() {
+  if (!hasCaches()) return;
+  const names = (await caches.keys()).filter(n => n.startsWith(CACHE_PREFIX));
+  await Promise.all(names.map(n => caches.delete(n)));
+  checked.clear();
+}
@@ -0,0 +1,267 @@
+// public/js/model_inspector.js
+// What's inside a .tflite: tensor signature, size and op list, read straight from the file with a
+// minimal FlatBuffers reader (only the parts of the TFLite schema we show), plus how the model
+// fared on each accelerator. Custom ops are flagged, since LiteRT.js can't run most of them on
+// WebGPU (that's what sends the MediaPipe segmenters to WASM).
+import { fetchCached } from "./model_cache.js";
+
+// schema.fbs BuiltinOperator, by enum value
+const BUILTIN_OPS = [
+  'ADD', 'AVERAGE_POOL_2D', 'CONCATENATION', 'CONV_2D', 'DEPTHWISE_CONV_2D', 'DEPTH_TO_SPACE', 'DEQUANTIZE',
+  'EMBEDDING_LOOKUP', 'FLOOR', 'FULLY_CONNECTED', 'HASHTABLE_LOOKUP', 'L2_NORMALIZATION', 'L2_POOL_2D',
+  'LOCAL_RESPONSE_NORMALIZATION', 'LOGISTIC', 'LSH_PROJECTION', 'LSTM', 'MAX_POOL_2D', 'MUL', 'RELU',
+  'RELU_N1_TO_1', 'RELU6', 'RESHAPE', 'RESIZE_BILINEAR', 'RNN', 'SOFTMAX', 'SPACE_TO_DEPTH', 'SVDF', 'TANH',
+  'CONCAT_EMBEDDINGS', 'SKIP_GRAM', 'CALL', 'CUSTOM', 'EMBEDDING_LOOKUP_SPARSE', 'PAD',
+  'UNIDIRECTIONAL_SEQUENCE_RNN', 'GATHER', 'BATCH_TO_SPACE_ND', 'SPACE_TO_BATCH_ND', 'TRANSPOSE', 'MEAN',
+  'SUB', 'DIV', 'SQUEEZE', 'UNIDIRECTIONAL_SEQUENCE_LSTM', 'STRIDED_SLICE', 'BIDIRECTIONAL_SEQUENCE_RNN',
+  'EXP', 'TOPK_V2', 'SPLIT', 'LOG_SOFTMAX', 'DELEGATE', 'BIDIRECTIONAL_SEQUENCE_LSTM', 'CAST', 'PRELU',
+  'MAXIMUM', 'ARG_MAX', 'MINIMUM', 'LESS', 'NEG', 'PADV2', 'GREATER', 'GREATER_EQUAL', 'LESS_EQUAL',
+  'SELECT', 'SLICE', 'SIN', 'TRANSPOSE_CONV', 'SPARSE_TO_DENSE', 'TILE', 'EXPAND_DIMS', 'EQUAL',
+  'NOT_EQUAL', 'LOG', 'SUM', 'SQRT', 'RSQRT', 'SHAPE', 'POW', 'ARG_MIN', 'FAKE_QUANT', 'REDUCE_PROD',
+  'REDUCE_MAX', 'PACK', 'LOGICAL_OR', 'ONE_HOT', 'LOGICAL_AND', 'LOGICAL_NOT', 'UNPACK', 'REDUCE_MIN',
+  'FLOOR_DIV', 'REDUCE_ANY', 'SQUARE', 'ZEROS_LIKE', 'FILL', 'FLOOR_MOD', 'RANGE',
+  'RESIZE_NEAREST_NEIGHBOR', 'LEAKY_RELU', 'SQUARED_DIFFERENCE', 'MIRROR_PAD', 'ABS', 'SPLIT_V', 'UNIQUE',
+  'CEIL', 'REVERSE_V2', 'ADD_N', 'GATHER_ND', 'COS', 'WHERE', 'RANK', 'ELU', 'REVERSE_SEQUENCE',
+  'MATRIX_DIAG', 'QUANTIZE', 'MATRIX_SET_DIAG', 'ROUND', 'HARD_SWISH', 'IF', 'WHILE',
+  'NON_MAX_SUPPRESSION_V4', 'NON_MAX_SUPPRESSION_V5', 'SCATTER_ND', 'SELECT_V2', 'DENSIFY', 'SEGMENT_SUM',
+  'BATCH_MATMUL', 'PLACEHOLDER_FOR_GREATER_OP_CODES', 'CUMSUM', 'CALL_ONCE', 'BROADCAST_TO', 'RFFT2D',
+  'CONV_3D', 'IMAG', 'REAL', 'COMPLEX_ABS', 'HASHTABLE', 'HASHTABLE_FIND', 'HASHTABLE_IMPORT',
+  'HASHTABLE_SIZE', 'REDUCE_ALL', 'CONV_3D_TRANSPOSE', 'VAR_HANDLE', 'READ_VARIABLE', 'ASSIGN_VARIABLE',
+  'BROADCAST_ARGS', 'RANDOM_STANDARD_NORMAL', 'BUCKETIZE', 'RANDOM_UNIFORM', 'MULTINOMIAL', 'GELU',
+  'DYNAMIC_UPDATE_SLICE', 'RELU_0_TO_1', 'UNSORTED_SEGMENT_PROD', 'UNSORTED_SEGMENT_MAX',
+  'UNSORTED_SEGMENT_SUM', 'ATAN2', 'UNSORTED_SEGMENT_MIN', 'SIGN', 'BITCAST', 'BITWISE_XOR', 'RIGHT_SHIFT',
+];
+const CUSTOM = 32;
+
+// schema.fbs TensorType, named like LiteRT's getInputDetails() dtypes
+const TENSOR_TYPES = [
+  'float32', 'float16', 'int32', 'uint8', 'int64', 'string', 'bool', 'int16', 'complex64', 'int8',
+  'float64', 'complex128', 'uint64', 'resource', 'variant', 'uint32', 'uint16', 'int4',
+];
+
+// Custom ops we know about (MediaPipe models ship these); anything else custom is flagged generically
+const KNOWN_CUSTOM_OPS = {
+  Convolution2DTransposeBias: 'MediaPipe op; not available on LiteRT.js WebGPU, so the model runs on WASM',
+  MaxPoolingWithArgmax2D: 'MediaPipe op; not available on LiteRT.js WebGPU',
+  MaxUnpooling2D: 'MediaPipe op; not available on LiteRT.js WebGPU',
+  'TFLite_Detection_PostProcess': 'SSD box decoding + NMS; runs on the CPU (the ssd-postprocessed decoder reads its outputs)',
+};
+
+// --- FlatBuffers, just enough to walk tables, vectors and strings ---
+class FlatReader {
+  constructor(bytes) {
+    this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    this.bytes = bytes;
+  }
+
+  u8(p) { return this.view.getUint8(p); }
+  i8(p) { return this.view.getInt8(p); }
+  u16(p) { return this.view.getUint16(p, true); }
+  i32(p) { return this.view.getInt32(p, true); }
+  u32(p) { return this.view.getUint32(p, true); }
+
+  root() { return this.u32(0); }
+
+  /** Position of field `i` of the table at `t`, or 0 when absent. */
+  field(t, i) {
+    const vt = t - this.i32(t);
+    const o = 4 + 2 * i;
+    const off = o < this.u16(vt) ? this.u16(vt + o) : 0;
+    return off ? t + off : 0;
+  }
+
+  deref(p) { return p + this.u32(p); }
+
+  table(t, i) {
+    const p = this.field(t, i);
+    return p ? this.deref(p) : 0;
+  }
+
+  string(t, i) {
+    const p = this.field(t, i);
+    if (!p) return '';
+    const s = this.deref(p);
+    return new TextDecoder().decode(this.bytes.subarray(s + 4, s + 4 + this.u32(s)));
+  }
+
+  scalar(t, i, read, fallback = 0) {
+    const p = this.field(t, i);
+    return p ? read.call(this, p) : fallback;
+  }
+
+  /** Vector field as [start, length] (elements are 4 bytes apart for every type we read). */
+  vector(t, i) {
+    const p = this.field(t, i);
+    if (!p) return [0, 0];
+    const v = this.deref(p);
+    return [v + 4, this.u32(v)];
+  }
+
+  ints(t, i) {
+    const [start, n] = this.vector(t, i);
+    return Array.from({ length: n }, (_, k) => this.i32(start + 4 * k));
+  }
+
+  tables(t, i) {
+    const [start, n] = this.vector(t, i);
+    return Array.from({ length: n }, (_, k) => this.deref(start + 4 * k));
+  }
+}
+
+function opName(r, code) {
+  // builtin_code (field 3) superseded the int8 deprecated_builtin_code (field 0) past 127
+  const builtin = Math.max(r.scalar(code, 0, r.i8), r.scalar(code, 3, r.i32));
+  if (builtin === CUSTOM) return { name: r.string(code, 1) || 'CUSTOM', custom: true };
+  return { name: BUILTIN_OPS[builtin] || `BUILTIN_${builtin}`, custom: false };
+}
+
+function tensorInfo(r, t) {
+  const signature = r.ints(t, 7); // shape_signature keeps -1 for dynamic dims
+  return {
+    name: r.string(t, 3),
+    shape: signature.length ? signature : r.ints(t, 0),
+    dtype: TENSOR_TYPES[r.scalar(t, 1, r.i8)] || 'unknown',
+  };
+}
+
+/**
+ * Parse a .tflite file. Resolves to { size, version, description, subgraphs, tensors, inputs,
+ * outputs, ops: [{ name, custom, count, note }], customOps: string[] } for the main subgraph.
+ */
+export function parseTflite(bytes) {
+  if (bytes.byteLength < 8) throw new Error('Not a TFLite model: file is too small');
+  const ident = String.fromCharCode(...bytes.subarray(4, 8));
+  if (ident !== 'TFL3') throw new Error(`Not a TFLite model (file identifier "${ident}", expected "TFL3")`);
+  const r = new FlatReader(bytes);
+  const model = r.root();
+  const codes = r.tables(model, 1).map(c => opName(r, c));
+  const subgraphs = r.tables(model, 2);
+  if (!subgraphs.length) throw new Error('TFLite model has no subgraphs');
+
+  const main = subgraphs[0];
+  const tensors = r.tables(main, 0);
+  const counts = new Map();
+  for (const op of r.tables(main, 3)) {
+    const code = codes[r.scalar(op, 0, r.u32)];
+    if (code) counts.set(code, (counts.get(code) || 0) + 1);
+  }
+  const ops = [...counts].map(([code, count]) => ({
+    ...code,
+    count,
+    note: code.custom ? (KNOWN_CUSTOM_OPS[code.name] || 'custom op; likely unsupported on WebGPU') : '',
+  })).sort((a, b) => (b.custom - a.custom) || (b.count - a.count) || a.name.localeCompare(b.name));
+
+  return {
+    size: bytes.byteLength,
+    version: r.scalar(model, 0, r.u32),
+    description: r.string(model, 3),
+    subgraphs: subgraphs.length,
+    tensors: tensors.length,
+    inputs: r.ints(main, 1).map(i => tensorInfo(r, tensors[i])),
+    outputs: r.ints(main, 2).map(i => tensorInfo(r, tensors[i])),
+    ops,
+    customOps: ops.filter(o => o.custom).map(o => o.name),
+  };
+}
+
+/** Fetch (through the model cache) and parse a task's model. */
+export async function inspectTaskModel(task) {
+  const res = await fetchCached(task.modelUrl);
+  if (!res.ok) throw new Error(`Model not found: ${task.modelUrl} (HTTP ${res.status})`);
+  return parseTflite(new Uint8Array(await res.arrayBuffer()));
+}
+
+/**
+ * Outcome of one runner init, for the compile report:
+ * { requested, outcome: 'compiled' | 'fell back' | 'failed', ranOn, reason, attempts }.
+ * `attempts` is the runner's compileLog ([{ accelerator, ok, ms, error }]).
+ */
+export function compileOutcome(requested, runner, error = null) {
+  const attempts = runner?.compileLog || [];
+  if (error) return { requested, outcome: 'failed', ranOn: null, reason: String(error?.message || error), attempts };
+  if (runner.fallbackReason) return { requested, outcome: 'fell back', ranOn: runner.accelerator, reason: runner.fallbackReason, attempts };
+  return { requested, outcome: 'compiled', ranOn: runner.accelerator, reason: '', attempts };
+}
+
+/**
+ * Compile the task's runner on each accelerator in turn (fresh runner each time, disposed after).
+ * `createRunner` is registry.createRunner; leaves the TFJS backend on whatever the last probe used.
+ */
+export async function probeAccelerators(task, createRunner, accelerators = ['webgpu', 'wasm']) {
+  const out = [];
+  for (const accelerator of accelerators) {
+    let runner = null;
+    try {
+      runner = await createRunner(task, { accelerator });
+      await runner.init();
+      out.push(compileOutcome(accelerator, runner));
+    } catch (e) {
+      out.push(compileOutcome(accelerator, runner, e));
+    } finally {
+      runner?.dispose?.();
+    }
+  }
+  return out;
+}
+
+const td = (text, title) => {
+  const el = document.createElement('td');
+  el.textContent = text;
+  if (title) el.title = title;
+  return el;
+};
+
+function tableOf(head, rows) {
+  const table = document.createElement('table');
+  table.className = 'matrix__table';
+  const tr = document.createElement('tr');
+  for (const h of head) {
+    const th = document.createElement('th');
+    th.textContent = h;
+    tr.append(th);
+  }
+  table.append(tr, ...rows);
+  return table;
+}
+
+const mb = (bytes) => `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+
+/** Fill `el` with the summary, I/O table and op list of a parseTflite() result. */
+export function renderModelInfo(el, info, modelUrl) {
+  const summary = document.createElement('p');
+  summary.className = 'inspector__summary';
+  summary.textContent = `${String(modelUrl).replace(/^\//, '')} • ${mb(info.size)} • schema v${info.version} • ` +
+    `${info.subgraphs} subgraph${info.subgraphs > 1 ? 's' : ''} • ${info.tensors} tensors • ` +
+    `${info.ops.reduce((a, o) => a + o.count, 0)} ops (${info.ops.length} kinds)` +
+    (info.description ? ` • ${info.description}` : '');
+
+  const io = tableOf(['', 'name', 'shape', 'dtype'], [
+    ...info.inputs.map(t => ['input', t]),
+    ...info.outputs.map(t => ['output', t]),
+  ].map(([role, t]) => {
+    const tr = document.createElement('tr');
+    tr.append(td(role), td(t.name), td(`[${t.shape.join(',')}]`), td(t.dtype));
+    return tr;
+  }));
+
+  const ops = tableOf(['op', 'count', ''], info.ops.map(o => {
+    const tr = document.createElement('tr');
+    if (o.custom) tr.className = 'op--custom';
+    tr.append(td(o.name), td(String(o.count)), td(o.custom ? `custom: ${o.note}` : ''));
+    return tr;
+  }));
+
+  el.replaceChildren(summary, io, ops);
+}
+
+/** Fill `el` with one row per compileOutcome(): requested accelerator, outcome and why. */
+export function renderCompileReport(el, outcomes) {
+  el.replaceChildren(tableOf(['accelerator', 'result', 'compile ms', 'detail'], outcomes.map(o => {
+    const tr = document.createElement('tr');
+    tr.className = `compile--${o.outcome.replace(' ', '-')}`;
+    const ms = o.attempts.filter(a => a.ok).map(a => a.ms.toFixed(0)).join(', ') || '—';
+    const detail = o.outcome === 'fell back' ? `ran on ${o.ranOn.toUpperCase()}: ${o.reason}` : o.reason;
+    tr.append(td(o.requested.toUpperCase()), td(o.outcome), td(ms), td(detail, detail));
+    return tr;
+  })));
+}
@@ -0,0 +1,33 @@
+// public/js/nms.js
+// Greedy non-max suppression over plain JS detections ({ bbox:[x,y,w,h], classId, score }).
+// Detection counts are small (tens to a few thousand candidates), so this stays on the CPU.
+
+function iou(a, b) {
+  const ax2 = a[0] + a[2], ay2 = a[1] + a[3];
+  const bx2 = b[0] + b[2], by2 = b[1] + b[3];
+  const iw = Math.max(0, Math.min(ax2, bx2) - Math.max(a[0], b[0]));
+  const ih = Math.max(0, Math.min(ay2, by2) - Math.max(a[1], b[1]));
+  const inter = iw * ih;
+  const union = a[2] * a[3] + b[2] * b[3] - inter;
+  return union > 0 ? inter / union : 0;
+}
+
+/**
+ * Suppress overlapping boxes, keeping the highest-scoring one.
+ * With classAware=true (default) boxes only suppress boxes of the same class,
+ * so e.g. a person on a chair keeps both detections.
+ */
+export function nonMaxSuppression(dets, { iouThreshold = 0.45, maxDetections = 100, classAware = true } = {}) {
+  const sorted = dets.slice().sort((a, b) => b.score - a.score);
+  const kept = [];
+  for (const d of sorted) {
+    if (kept.length >= maxDetections) break;
+    let suppressed = false;
+    for (const k of kept) {
+      if (classAware && k.classId !== d.classId) continue;
+      if (iou(k.bbox, d.bbox) > iouThreshold) { suppressed = true; break; }
+    }
+    if (!suppressed) kept.push(d);
+  }
+  return kept;
+}
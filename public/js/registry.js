@@ -0,0 +1,104 @@
+// public/js/registry.js
+// Declarative model registry backed by public/models/models.json.
+// Each task entry names its runner class, model URL, labels/palette, input geometry,
+// normalization and defaults; everything in main.js (task dropdown, model-path hint,
+// live start, benchmark, comparisons) is driven from here. Adding a model = editing models.json.
+
+const MANIFEST_URL = "/models/models.json";
+
+// Runner classes are loaded lazily so unused tasks don't pull their code in.
+// `labelsKey`/`paletteKey` map the manifest's generic fields onto each runner's constructor options.
+const RUNNERS = {
+  Classifier: {
+    load: () => import('./classifier.js').then(m => m.Classifier),
+    labelsKey: 'labelsUrl',
+  },
+  Detector: {
+    load: () => import('./detector.js').then(m => m.Detector),
+    labelsKey: 'labelsUrl',
+  },
+  SegmenterSelfie: {
+    load: () => import('./segmenter_selfie.js').then(m => m.SegmenterSelfie),
+  },
+  SegmenterSelfieMulticlass: {
+    load: () => import('./segmenter_selfie_multiclass.js').then(m => m.SegmenterSelfieMulticlass),
+    labelsKey: 'classLabelsUrl',
+    paletteKey: 'classColorsUrl',
+  },
+  SegmenterAde20k: {
+    load: () => import('./segmenter_ade20k.js').then(m => m.SegmenterAde20k),
+    labelsKey: 'classesUrl',
+  },
+};
+
+let manifestPromise = null;
+let tasks = [];
+
+/** Fetch and validate models.json once per page. Resolves to the task list. */
+export function loadModelRegistry(url = MANIFEST_URL) {
+  if (!manifestPromise) {
+    manifestPromise = (async () => {
+      const res = await fetch(url);
+      if (!res.ok) throw new Error(`Model manifest missing: ${url} (HTTP ${res.status})`);
+      const json = await res.json();
+      if (!Array.isArray(json.tasks)) throw new Error(`${url} must be { tasks: [...] }`);
+      for (const t of json.tasks) {
+        if (!t.id || !t.modelUrl) throw new Error(`${url}: every task needs "id" and "modelUrl"`);
+        if (!RUNNERS[t.runner]) throw new Error(`${url}: task "${t.id}" uses unknown runner "${t.runner}"`);
+      }
+      tasks = json.tasks;
+      return tasks;
+    })().catch((e) => { manifestPromise = null; throw e; });
+  }
+  return manifestPromise;
+}
+
+/**
+ * Add a task at runtime (e.g. an uploaded custom model), replacing any task with the same id.
+ * Validated like a manifest entry.
+ */
+export function registerTask(task) {
+  if (!task.id || !task.modelUrl) throw new Error('A task needs "id" and "modelUrl"');
+  if (!RUNNERS[task.runner]) throw new Error(`Task "${task.id}" uses unknown runner "${task.runner}"`);
+  tasks = [...tasks.filter(t => t.id !== task.id), task];
+  return task;
+}
+
+/** Tasks loaded so far (empty until loadModelRegistry() resolves). */
+export function listTasks() {
+  return tasks;
+}
+
+export function getTask(id) {
+  const t = tasks.find(t => t.id === id);
+  if (!t) throw new Error(`Unknown task "${id}". Check public/models/models.json.`);
+  return t;
+}
+
+/** Short model path for UI hints, e.g. "models/selfie_general_256x256.tflite". */
+export function modelPathHint(task) {
+  return String(task.modelUrl).replace(/^\//, '');
+}
+
+/** Constructor options for a task's runner (manifest fields + defaults + per-call overrides). */
+export function runnerOptions(task, { accelerator, wasmPath = '/wasm/', overrides = {} } = {}) {
+  const spec = RUNNERS[task.runner];
+  const opts = { modelUrl: task.modelUrl, wasmPath, accelerator };
+  if (task.sha256) opts.modelSha256 = task.sha256;
+  if (task.labels && spec.labelsKey) opts[spec.labelsKey] = task.labels;
+  if (task.palette && spec.paletteKey) opts[spec.paletteKey] = task.palette;
+  if (task.input) {
+    const { width, height, layout } = task.input;
+    opts.inputSize = (width === height) ? width : [height, width];
+    if (layout) opts.layout = layout;
+  }
+  if (task.normalization) opts.normalization = task.normalization;
+  return { ...opts, ...task.defaults, ...overrides };
+}
+
+/** Instantiate (but don't init) the runner for a task id or task entry. */
+export async function createRunner(taskOrId, options = {}) {
+  const task = typeof taskOrId === 'string' ? getTask(taskOrId) : taskOrId;
+  const RunnerClass = await RUNNERS[task.runner].load();
+  return new RunnerClass(runnerOptions(task, options));
+}
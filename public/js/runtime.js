@@ -16,10 +16,26 @@ export async function ensureLiteRtOnce(wasmPath = "/wasm/") {
         throw e;
       })
       .then(async () => { 
-        const [hasSIMD, hasThreads] = await Promise.all([simd(), threads()]);
-        console.log({ hasSIMD, hasThreads, crossOriginIsolated });
+        const info = await runtimeFeatures();
+        console.log(info);
         g.ok = true; 
       });
   }
   await g.p;
+}
+
+let featuresPromise = null;
+
+/**
+ * WASM features LiteRT can use here, plus the LiteRT.js version the page was built with:
+ * { hasSIMD, hasThreads, crossOriginIsolated, litertVersion } (detected once).
+ */
+export function runtimeFeatures() {
+  featuresPromise ||= Promise.all([simd(), threads()]).then(([hasSIMD, hasThreads]) => ({
+    hasSIMD,
+    hasThreads,
+    crossOriginIsolated: !!globalThis.crossOriginIsolated,
+    litertVersion: typeof __LITERT_VERSION__ !== 'undefined' ? __LITERT_VERSION__ : 'unknown', // set by vite.config.js
+  }));
+  return featuresPromise;
 }
\ No newline at end of file
@@ -0,0 +1,109 @@
+// public/js/segmenter_ade20k.js
+// Scene parsing (ADE20K, 150 classes) e.g. DeepLabV3-MobileNetV2 ADE20K .tflite.
+// Palette and class names both come from public/models/ade20k_class_colors.json ({ classes, colors }).
+// Some exports emit 151 channels (index 0 = "other"); we detect that and keep it transparent.
+
+import { runWithTfjsTensors } from "@litertjs/tfjs-interop";
+import * as tf from "@tensorflow/tfjs";
+import { BaseRunner, readLabelMap } from "./base_runner.js";
+import { fetchCached } from "./model_cache.js";
+
+export class SegmenterAde20k extends BaseRunner {
+  constructor({
+    modelUrl = "/models/deeplabv3_ade20k_513.tflite",
+    modelSha256,
+    wasmPath = "/wasm/",
+    accelerator = "webgpu",
+    inputSize,                       // only for dynamic-size models; otherwise read from the signature
+    layout,
+    normalization = "minus1to1",     // DeepLab expects [-1,1]; '0to1' for exports that bake scaling in
+    classesUrl = "/models/ade20k_class_colors.json",
+    legendMinFraction = 0.005,       // hide classes covering < 0.5% of the frame from the legend
+  }) {
+    super({ modelUrl, modelSha256, wasmPath, accelerator, inputSize, layout });
+    this.normalization = normalization;
+    this.classesUrl = classesUrl;
+    this.legendMinFraction = legendMinFraction;
+    this.type = "segmenter";
+    this.classLabels = [];   // 150 names
+    this.classColors = [];   // 150 [r,g,b]
+    this.palette = null;     // compositor palette indexed by raw argmax (null = transparent)
+  }
+
+  async loadAssets() {
+    // Palette + names are required here (unlike the selfie multiclass palette)
+    const res = await fetchCached(this.classesUrl);
+    if (!res.ok) throw new Error(`Class file missing: ${this.classesUrl} (HTTP ${res.status})`);
+    const json = await res.json();
+    if (!Array.isArray(json.classes) || !Array.isArray(json.colors)) {
+      throw new Error(`${this.classesUrl} must be { classes: [...], colors: [[r,g,b], ...] }`);
+    }
+    this.classLabels = json.classes;
+    this.classColors = json.colors;
+  }
+
+  // Expect a 150 (or 151) channel score map
+  validateSignature(inputs, outputs) {
+    const shape = Array.from(outputs[0]?.shape || []);
+    const fits = shape.length === 4 && [shape[1], shape[3]].some(c => c === 150 || c === 151);
+    if (!fits) throw this.signatureError(`expected a [1,H,W,150] (or 151) ADE20K score output, got [${shape}]`);
+  }
+
+  /**
+   * Returns { labels, width, height, palette, present } – a model-resolution label map for
+   * MaskCompositor; present is [{ id, label, color, fraction }] for the classes visible in
+   * this frame, largest first.
+   */
+  async run(sourceEl) {
+    if (!this.model) return { labels: new Uint8Array(0), width: 0, height: 0, palette: [], present: [] };
+
+    // 1) Preprocess to the model's [1,H,W,3] and run
+    const timer = this.startTimer();
+    const input = tf.tidy(() => this.preprocess(sourceEl, this.normalization));
+    await timer?.mark('preprocess');
+    const outputs = tf.tidy(() => runWithTfjsTensors(this.model, input));
+    const logits = outputs[0]; // [1,H,W,C] or [1,C,H,W]
+    outputs.slice(1).forEach(t => t.dispose());
+    input.dispose();
+    await timer?.mark('execute');
+
+    // 2) 150/151-way argmax -> [H,W]
+    const shp = logits.shape;
+    const L = this.classLabels.length;
+    const channelsLast = (shp[3] === L || shp[3] === L + 1) || shp[3] <= shp[1];
+    const numC = channelsLast ? shp[3] : shp[1];
+    // 151 channels => index 0 is "other" and ADE20K ids are shifted by one
+    const offset = numC === L + 1 ? 1 : 0;
+    const argmax = tf.tidy(() => {
+      const nhwc = channelsLast ? logits : logits.transpose([0,2,3,1]);
+      return nhwc.argMax(3).squeeze([0]);
+    });
+    logits.dispose();
+    await timer?.mark('postprocess');
+
+    const mask = await readLabelMap(argmax);
+    await timer?.mark('readback');
+    if (this.palette?.length !== numC) {
+      this.palette = offset ? [null, ...this.classColors] : this.classColors;
+    }
+
+    // 3) Class histogram for the legend (at model resolution)
+    const { labels, width: W, height: H } = mask;
+    const counts = new Uint32Array(256);
+    for (let i = 0; i < W * H; i++) counts[labels[i]]++;
+
+    const present = [];
+    const total = W * H || 1;
+    for (let k = offset; k < numC; k++) {
+      const fraction = counts[k] / total;
+      if (fraction < this.legendMinFraction) continue;
+      const id = k - offset;
+      present.push({ id, label: this.classLabels[id] || `class_${id}`, color: this.classColors[id] || [255,0,0], fraction });
+    }
+    present.sort((a, b) => b.fraction - a.fraction);
+    await timer?.mark('postprocess');
+    this.finishTimer(timer);
+
+    return { ...mask, palette: this.palette, present };
+  }
+}
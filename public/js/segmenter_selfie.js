@@ -1,151 +1,90 @@
 // public/js/segmenter_selfie.js
 // Note: Some Selfie Segmentation TFLite builds include a custom op `Convolution2DTransposeBias`.
-// If WebGPU compilation fails due to this unresolved custom op, we automatically fall back to WASM.
-import { loadAndCompile, setWebGpuDevice } from "@litertjs/core";
-import { ensureLiteRtOnce } from "./runtime.js";
+// If WebGPU compilation fails due to this unresolved custom op, BaseRunner falls back to WASM.
 import { runWithTfjsTensors } from "@litertjs/tfjs-interop";
 import * as tf from "@tensorflow/tfjs";
-import "@tensorflow/tfjs-backend-webgpu";
-import '@tensorflow/tfjs-backend-wasm';
-import { setWasmPaths } from '@tensorflow/tfjs-backend-wasm';
+import { BaseRunner, readLabelMap } from "./base_runner.js";
+import { TemporalFilter } from "./temporal_filter.js";
 
-// Assert that an asset URL is reachable and not serving HTML fallbacks.
-async function assertAsset(url) {
-  const res = await fetch(url, { method: 'GET' });
-  if (!res.ok) throw new Error(`Asset not found or not served: ${url} (HTTP ${res.status})`);
-  const ct = res.headers.get('content-type') || '';
-  if (ct.includes('text/html')) throw new Error(`Unexpected HTML at ${url}. Did you place the file under public/models/?`);
-  return url;
-}
-
-export class SegmenterSelfie {
+export class SegmenterSelfie extends BaseRunner {
   constructor({
     modelUrl = "/models/selfie_general_256x256.tflite",
+    modelSha256,
     wasmPath = "/wasm/",
     accelerator = "wasm",            // CPU default (fastest for this tiny model)
-    inputSize = 256,                 // 256x256 (or 144x256 for landscape)
+    inputSize,                       // only for dynamic-size models; 256x256 / 144x256 are read from the model
+    layout,
+    normalization = '0to1',          // MediaPipe selfie models take [0,1]
     threshold = 0.5,                 // probability threshold
     color = [26, 211, 106],          // RGB color for 'person'
+    softMask = false,                // keep probabilities as per-pixel alpha instead of thresholding
+    smoothing = 'off',               // temporal smoothing: 'off' | 'ema' | 'motion'
+    smoothingStrength = 0.6,         // weight of the previous frame (0..0.95)
   }) {
-    this.modelUrl = modelUrl;
-    this.wasmPath = wasmPath;
-    this.accelerator = accelerator;  // 'wasm' | 'webgpu'
-    this.inputSize = inputSize;
+    super({ modelUrl, modelSha256, wasmPath, accelerator, inputSize, layout }); // 'wasm' | 'webgpu'
+    this.normalization = normalization;
     this.threshold = threshold;
     this.color = color;
-    this.model = null;
-    this.backendName = "";
+    this.palette = [null, color];    // background transparent
+    this.softMask = softMask;
+    this.smoother = new TemporalFilter({ mode: smoothing, strength: smoothingStrength });
+    this._allPerson = null;          // soft mode: every texel is class 1, alpha does the rest
     this.type = "segmenter";         // keep same type so main.js path works
-    this._warmedUp = false;
   }
 
-  async init() {
-    // Configure WASM assets and pick backend: prefer WebGPU, else WASM
-    setWasmPaths('/tfwasm/');
-    if (this.accelerator === "webgpu" && ("gpu" in navigator)) {
-      await tf.setBackend("webgpu");
-    } else {
-      this.accelerator = "wasm";
-      await tf.setBackend("wasm");
-    }
-    await tf.ready();
-
-    await ensureLiteRtOnce(this.wasmPath);
-    await assertAsset(this.modelUrl);
-
-    // Try to compile the model with requested accelerator
-    try {
-      if (this.accelerator === "webgpu") {
-        const backend = tf.backend();
-        if (!backend || !backend.device) throw new Error("No TFJS WebGPU device");
-        // IMPORTANT: set device BEFORE compiling the LiteRT model
-        setWebGpuDevice(backend.device);
-        this.model = await loadAndCompile(this.modelUrl, { accelerator: "webgpu" });
-      } else {
-        // WASM path (TFJS stays on CPU)
-        this.model = await loadAndCompile(this.modelUrl, { accelerator: "wasm" });
-      }
-    } catch (e) {
-      const msg = String(e?.message || e);
-      console.warn('[SegmenterSelfie] compile error:', msg);
-      // Treat unresolved custom ops AND missing GPU buffer handles as GPU compile failures
-      const isGpuCompileFailure = /custom op|Convolution2DTransposeBias|unresolved custom op|does not have a buffer handle|buffer handle/i.test(msg);
-
-      if (this.accelerator === 'webgpu' && isGpuCompileFailure) {
-        console.warn('[SegmenterSelfie] WebGPU compile failed; falling back to WASM.', e);
-        this.accelerator = 'wasm';
-        await tf.setBackend('wasm');
-        await tf.ready();
-        this.model = await loadAndCompile(this.modelUrl, { accelerator: 'wasm' });
-      } else {
-        throw e;
-      }
-    }
+  /** Live update of the soft-mask/smoothing options (UI sliders, worker 'set' messages). */
+  setMaskOptions({ softMask, smoothing, smoothingStrength } = {}) {
+    if (softMask !== undefined) this.softMask = softMask;
+    this.smoother.configure({ mode: smoothing, strength: smoothingStrength });
+  }
 
-    // Warmup once (NHWC, [1,S,S,3])
-    if (!this._warmedUp) {
-      const S = this.inputSize | 0;
-      const warm = tf.tidy(() => tf.zeros([1, S, S, 3], "float32"));
-      try { runWithTfjsTensors(this.model, warm); } finally { warm.dispose(); }
-      this._warmedUp = true;
+  // Expect a single-channel probability map, [1,H,W,1] (or [1,1,H,W])
+  validateSignature(inputs, outputs) {
+    const shape = Array.from(outputs[0]?.shape || []);
+    if (shape.length !== 4 || (shape[3] !== 1 && shape[1] !== 1)) {
+      throw this.signatureError(`expected a [1,H,W,1] person-probability output, got [${shape}]. Multi-class models belong to the multiclass task.`);
     }
-
-    this.backendName = this.accelerator.toUpperCase();
   }
 
   /**
-   * Returns { rgba, width, height } where rgba is Uint8ClampedArray of upsampled mask.
-   * Model output: [1, S, S, 1] probability for "person".
+   * Returns { labels, width, height, palette, alpha? }: a model-resolution label map (1 = person)
+   * that MaskCompositor upsamples and blends on the GPU. With softMask, `alpha` carries the
+   * (smoothed) person probability as 0..255 and is upsampled bilinearly instead.
+   * Model output: [1, H, W, 1] probability for "person" (H x W from the model signature).
    */
   async run(sourceEl) {
-    if (!this.model) return { rgba: new Uint8ClampedArray(0), width: 0, height: 0 };
-
-    const S = this.inputSize;
-    const vidW = sourceEl.videoWidth || sourceEl.width || 0;
-    const vidH = sourceEl.videoHeight || sourceEl.height || 0;
+    if (!this.model) return { labels: new Uint8Array(0), width: 0, height: 0, palette: this.palette };
 
-    // 1) Forward pass: NHWC, range [0,1]. (Selfie models expect 256x256x3 / 144x256x3)
-    const prob = tf.tidy(() => {
-      const img = tf.browser.fromPixels(sourceEl).toFloat();       // [H0,W0,3]
-      const resized = tf.image.resizeBilinear(img, [S, S]);        // [S,S,3]
-      const nhwc = resized.div(255).reshape([1, S, S, 3]);         // [1,S,S,3]
-      const out = runWithTfjsTensors(this.model, nhwc)[0];         // -> [1,S,S,1]
-      return out; // keep tensor for arg
+    const soft = this.softMask;
+    const timer = this.startTimer();
+    const nhwc = tf.tidy(() => this.preprocess(sourceEl, this.normalization)); // [1,H,W,3]
+    await timer?.mark('preprocess');
+    const outputs = tf.tidy(() => runWithTfjsTensors(this.model, nhwc));
+    await timer?.mark('execute');
+    const out = tf.tidy(() => {
+      let prob = outputs[0].squeeze();                             // [1,H,W,1] -> [H,W]
+      if (this.smoother.enabled) prob = this.smoother.apply(prob, nhwc.mean(this.input.layout === 'NCHW' ? 1 : 3).squeeze([0]));
+      return soft
+        ? prob.mul(255).round().toInt()                            // alpha 0..255
+        : prob.greater(this.threshold).toInt();                    // binary labels
     });
+    nhwc.dispose();
+    outputs.forEach(t => t.dispose());
+    await timer?.mark('postprocess');
 
-    // 2) Threshold to binary labels and upsample to video size
-    let mask; // [S,S] int
-    try {
-      mask = prob.greater(this.threshold).toInt().squeeze();       // [S,S]
-    } finally {
-      // keep prob until after squeeze complete
-    }
-
-    let up = mask;
-    if (vidW && vidH) {
-      up = tf.image
-        .resizeNearestNeighbor(mask.expandDims(-1), [vidH, vidW], false)
-        .squeeze([-1])                                             // [vidH,vidW]
-        .toInt();
-    }
-    if (up !== mask) mask.dispose();
-    prob.dispose();
+    const mask = await readLabelMap(out);
+    await timer?.mark('readback');
+    this.finishTimer(timer);
+    if (!soft) return { ...mask, palette: this.palette };
 
-    // 3) Build RGBA on CPU (background transparent)
-    const H = up.shape[0], W = up.shape[1];
-    const idx = await up.data(); // int32 0/1
-    up.dispose();
+    const n = mask.width * mask.height;
+    if (this._allPerson?.length !== n) this._allPerson = new Uint8Array(n).fill(1);
+    return { labels: this._allPerson, alpha: mask.labels, width: mask.width, height: mask.height, palette: this.palette };
+  }
 
-    const [r, g, b] = this.color;
-    const rgba = new Uint8ClampedArray(W * H * 4);
-    for (let i = 0; i < W * H; i++) {
-      const j = i * 4;
-      if (idx[i]) {  // person
-        rgba[j] = r; rgba[j + 1] = g; rgba[j + 2] = b; rgba[j + 3] = 220;
-      } else {
-        rgba[j] = 0; rgba[j + 1] = 0; rgba[j + 2] = 0; rgba[j + 3] = 0; // transparent
-      }
-    }
-    return { rgba, width: W, height: H };
+  // the smoother keeps the previous mask/frame tensors alive between runs
+  dispose() {
+    this.smoother.reset();
+    super.dispose();
   }
-}
\ No newline at end of file
+}
@@ -3,13 +3,11 @@
 // Produces multi-class masks (background + several person-related classes).
 // We keep class 0 transparent by default and color classes 1..N.
 
-import { loadAndCompile, setWebGpuDevice } from "@litertjs/core";
-import { ensureLiteRtOnce } from "./runtime.js";
 import { runWithTfjsTensors } from "@litertjs/tfjs-interop";
 import * as tf from "@tensorflow/tfjs";
-import "@tensorflow/tfjs-backend-webgpu";
-import '@tensorflow/tfjs-backend-wasm';
-import { setWasmPaths } from '@tensorflow/tfjs-backend-wasm';
+import { BaseRunner, readLabelMap } from "./base_runner.js";
+import { TemporalFilter } from "./temporal_filter.js";
+import { fetchCached } from "./model_cache.js";
 
 function defaultPalette(n) {
   // simple deterministic palette
@@ -25,160 +23,156 @@ function defaultPalette(n) {
 }
 
 
-export class SegmenterSelfieMulticlass {
+export class SegmenterSelfieMulticlass extends BaseRunner {
   constructor({
     modelUrl = "/models/selfie_multiclass_256x256.tflite",
+    modelSha256,
     wasmPath = "/wasm/",
     accelerator = "webgpu", // both webgpu and wasm generally supported
-    inputSize = 256,
+    inputSize,              // only for dynamic-size models; otherwise read from the signature
+    layout,
+    normalization = '0to1', // MediaPipe selfie models take [0,1]
     classColorsUrl = "/models/selfie_multiclass_colors.json", // optional palette [[r,g,b],...]
-    classLabelsUrl = "/models/selfie_multiclass_labels.json",  // optional labels ["bg","hair",...]
+    classLabelsUrl = "/models/selfie_multiclass_labels.json",  // optional labels ["bg","hair",...] or { classes, colors }
     overlayAlpha = 0.75,
+    softMask = false,       // per-pixel alpha from the foreground probability (1 - p(background))
+    smoothing = 'off',      // temporal smoothing of the foreground probability: 'off' | 'ema' | 'motion'
+    smoothingStrength = 0.6,
   }) {
-    this.modelUrl = modelUrl;
-    this.wasmPath = wasmPath;
-    this.accelerator = accelerator;
-    this.inputSize = inputSize;
+    super({ modelUrl, modelSha256, wasmPath, accelerator, inputSize, layout });
+    this.normalization = normalization;
     this.overlayAlpha = overlayAlpha;
-    this.model = null;
-    this.backendName = "";
     this.type = "segmenter";
-    this._warmedUp = false;
     this.classColorsUrl = classColorsUrl;
     this.classLabelsUrl = classLabelsUrl;
     this.classColors = null; // [[r,g,b], ...]
     this.classLabels = null; // optional
+    this.palette = null;     // [null, [r,g,b], ...] for the compositor, built on first run
+    this.softMask = softMask;
+    this.smoother = new TemporalFilter({ mode: smoothing, strength: smoothingStrength });
+    this._scoresAreProbs = null; // whether the model already applies softmax (probed once)
   }
 
-  async init() {
-    // Configure WASM assets location (matches classifier/runtime)
-    setWasmPaths('/tfwasm/');
-
-    // Pick backend: try WebGPU if requested & available, else WASM
-    if (this.accelerator === 'webgpu' && ('gpu' in navigator)) {
-      await tf.setBackend('webgpu');
-    } else {
-      this.accelerator = 'wasm';
-      await tf.setBackend('wasm');
-    }
-    await tf.ready();
-
-    await ensureLiteRtOnce(this.wasmPath);
-
-    // Try compile with requested accel; set device before WebGPU compile
-    try {
-      if (this.accelerator === 'webgpu') {
-        const backend = tf.backend();
-        if (!backend || !backend.device) throw new Error('No TFJS WebGPU device');
-        setWebGpuDevice(backend.device);
-        this.model = await loadAndCompile(this.modelUrl, { accelerator: 'webgpu' });
-      } else {
-        this.model = await loadAndCompile(this.modelUrl, { accelerator: 'wasm' });
-      }
-    } catch (e) {
-      const msg = String(e?.message || e);
-      const isGpuCompileFailure = /custom op|unresolved custom op|does not have a buffer handle|Convolution2DTransposeBias/i.test(msg);
-      if (this.accelerator === 'webgpu' && isGpuCompileFailure) {
-        console.warn('[SegmenterSelfieMC] WebGPU compile failed; falling back to WASM.', e);
-        this.accelerator = 'wasm';
-        await tf.setBackend('wasm');
-        await tf.ready();
-        this.model = await loadAndCompile(this.modelUrl, { accelerator: 'wasm' });
-      } else {
-        throw e;
-      }
-    }
+  /** Live update of the soft-mask/smoothing options (UI sliders, worker 'set' messages). */
+  setMaskOptions({ softMask, smoothing, smoothingStrength } = {}) {
+    if (softMask !== undefined) this.softMask = softMask;
+    this.smoother.configure({ mode: smoothing, strength: smoothingStrength });
+  }
 
+  async loadAssets() {
     // Load optional colors & labels
-    try {
-      const res = await fetch(this.classColorsUrl);
+    if (this.classColorsUrl) try {
+      const res = await fetchCached(this.classColorsUrl);
       if (res.ok) {
         const json = await res.json();
         this.classColors = Array.isArray(json) ? json : (Array.isArray(json.colors) ? json.colors : null);
       }
     } catch {}
-    try {
-      const res = await fetch(this.classLabelsUrl);
+    if (this.classLabelsUrl) try {
+      const res = await fetchCached(this.classLabelsUrl);
       if (res.ok) {
-        const arr = await res.json();
-        this.classLabels = Array.isArray(arr) ? arr : null;
+        // plain ["bg","hair",...] or the { classes, colors } shape used by ade20k_class_colors.json
+        const json = await res.json();
+        this.classLabels = Array.isArray(json) ? json : (Array.isArray(json.classes) ? json.classes : null);
+        if (!this.classColors && Array.isArray(json.colors)) this.classColors = json.colors;
       }
     } catch {}
+  }
 
-    // Warmup
-    if (!this._warmedUp) {
-      const S = this.inputSize | 0;
-      const warm = tf.tidy(() => tf.zeros([1, S, S, 3], 'float32'));
-      try { runWithTfjsTensors(this.model, warm); } finally { warm.dispose(); }
-      this._warmedUp = true;
+  // Expect a per-class score map: [1,H,W,C] or [1,C,H,W]
+  validateSignature(inputs, outputs) {
+    const shape = Array.from(outputs[0]?.shape || []);
+    if (shape.length !== 4) {
+      throw this.signatureError(`expected a [1,H,W,C] class-score output, got [${shape}]`);
     }
+  }
 
-    this.backendName = this.accelerator.toUpperCase();
+  // Class 0 transparent, others from classColors (or a generated palette)
+  paletteFor(numC) {
+    if (this.palette?.length === numC) return this.palette;
+    const colors = (Array.isArray(this.classColors) && this.classColors.length >= numC)
+      ? this.classColors
+      : defaultPalette(numC);
+    this.palette = [null, ...colors.slice(1, numC)];
+    return this.palette;
   }
 
-  // Returns { rgba, width, height } – class 0 transparent, others colored
+  // Returns { labels, width, height, palette, alpha? } – model-resolution label map for MaskCompositor.
+  // softMask / smoothing work on the foreground probability; labels are then the most likely
+  // non-background class everywhere and `alpha` (0..255) decides where it shows.
   async run(sourceEl) {
-    if (!this.model) return { rgba: new Uint8ClampedArray(0), width: 0, height: 0 };
-
-    const S = this.inputSize;
-    const vidW = sourceEl.videoWidth || sourceEl.width || 0;
-    const vidH = sourceEl.videoHeight || sourceEl.height || 0;
-
-    // 1) Preprocess NHWC [1,S,S,3], [0,1]
-    const logits = tf.tidy(() => {
-      const img = tf.browser.fromPixels(sourceEl).toFloat();
-      const resized = tf.image.resizeBilinear(img, [S, S]);
-      const nhwc = resized.div(255).reshape([1, S, S, 3]);
-      const out = runWithTfjsTensors(this.model, nhwc)[0]; // expect [1,S,S,C] or [1,C,S,S]
-      return out;
+    if (!this.model) return { labels: new Uint8Array(0), width: 0, height: 0, palette: [] };
+
+    // 1) Preprocess [1,H,W,3], [0,1] by default
+    const timer = this.startTimer();
+    let gray = null;
+    const nhwc = tf.tidy(() => {
+      const input = this.preprocess(sourceEl, this.normalization);
+      if (this.smoother.enabled) gray = tf.keep(input.mean(this.input.layout === 'NCHW' ? 1 : 3).squeeze([0]));
+      return input;
     });
-
-    // 2) Get labels [S,S]
-    const shp = logits.shape; // [1,S,S,C] or [1,C,S,S]
-    let labels;
-    if (shp.length === 4 && shp[3] > 1) {
-      labels = logits.argMax(3).squeeze([0]);
-    } else if (shp.length === 4 && shp[1] > 1) {
-      const nhwcLogits = logits.transpose([0,2,3,1]);
-      labels = nhwcLogits.argMax(3).squeeze([0]);
-      nhwcLogits.dispose();
-    } else {
-      // binary fallback
-      labels = logits.squeeze().greater(0.5).toInt();
+    await timer?.mark('preprocess');
+    const outputs = tf.tidy(() => runWithTfjsTensors(this.model, nhwc));
+    const logits = outputs[0]; // expect [1,H,W,C] or [1,C,H,W]
+    outputs.slice(1).forEach(t => t.dispose());
+    nhwc.dispose();
+    await timer?.mark('execute');
+
+    const shp = logits.shape; // [1,H,W,C] or [1,C,H,W]
+    // choose palette length from channel dim if known
+    const numC = Math.max(shp[1], shp[3], 2);
+    const palette = this.paletteFor(numC);
+
+    // 2a) Hard labels [H,W] (argmax), unless we need the foreground probability
+    if (!this.softMask && !this.smoother.enabled) {
+      const labels = tf.tidy(() => {
+        if (shp[3] > 1) return logits.argMax(3).squeeze([0]);
+        if (shp[1] > 1) return logits.transpose([0,2,3,1]).argMax(3).squeeze([0]);
+        return logits.squeeze().greater(0.5).toInt(); // binary fallback
+      });
+      logits.dispose();
+      await timer?.mark('postprocess');
+      const mask = await readLabelMap(labels);
+      await timer?.mark('readback');
+      this.finishTimer(timer);
+      return { ...mask, palette };
     }
-    logits.dispose();
 
-    // 3) Upsample to video size
-    let up = labels;
-    if (vidW && vidH) {
-      up = tf.image.resizeNearestNeighbor(labels.expandDims(-1), [vidH, vidW], false)
-                   .squeeze([-1]).toInt();
+    // 2b) Foreground probability + best foreground class
+    const multi = shp[3] > 1 || shp[1] > 1;
+    if (multi && this._scoresAreProbs === null) {
+      const [mn, mx] = await Promise.all([logits.min().data(), logits.max().data()]);
+      this._scoresAreProbs = mn[0] >= 0 && mx[0] <= 1;
     }
-    if (up !== labels) labels.dispose();
-
-    // 4) CPU colorization
-    const H = up.shape[0], W = up.shape[1];
-    const idx = await up.data();
-    up.dispose();
-
-    // choose palette length from channel dim if known; default 7 classes
-    const numC = (shp.length === 4) ? Math.max(shp[1], shp[3]) : 2;
-    const palette = (Array.isArray(this.classColors) && this.classColors.length >= numC)
-      ? this.classColors
-      : defaultPalette(numC);
-
-    const rgba = new Uint8ClampedArray(W * H * 4);
-    for (let i = 0; i < W * H; i++) {
-      const cls = idx[i] | 0;
-      const j = i * 4;
-      if (cls === 0) {
-        rgba[j] = 0; rgba[j+1] = 0; rgba[j+2] = 0; rgba[j+3] = 0;
+    const [fgLabels, alpha] = tf.tidy(() => {
+      let fg, cls;
+      if (multi) {
+        const nhwc = shp[3] > 1 ? logits.squeeze([0]) : logits.transpose([0,2,3,1]).squeeze([0]); // [H,W,C]
+        const probs = this._scoresAreProbs ? nhwc : tf.softmax(nhwc);
+        fg = tf.scalar(1).sub(probs.slice([0, 0, 0], [-1, -1, 1]).squeeze([-1]));
+        cls = probs.slice([0, 0, 1], [-1, -1, -1]).argMax(-1).add(1).toInt();
       } else {
-        const c = palette[cls] || palette[cls % palette.length] || [255,0,0];
-        rgba[j] = c[0] | 0; rgba[j+1] = c[1] | 0; rgba[j+2] = c[2] | 0; rgba[j+3] = 220;
+        fg = logits.squeeze();
+        cls = tf.onesLike(fg).toInt();
       }
-    }
+      if (this.smoother.enabled) fg = this.smoother.apply(fg, gray);
+      if (this.softMask) return [cls, fg.mul(255).round().toInt()];
+      return [cls.mul(fg.greater(0.5).toInt()), null]; // smoothed hard mask
+    });
+    logits.dispose();
+    gray?.dispose();
+    await timer?.mark('postprocess');
+
+    const mask = await readLabelMap(fgLabels);
+    if (alpha) mask.alpha = (await readLabelMap(alpha)).labels;
+    await timer?.mark('readback');
+    this.finishTimer(timer);
+    return { ...mask, palette };
+  }
 
-    return { rgba, width: W, height: H };
+  // the smoother keeps the previous mask/frame tensors alive between runs
+  dispose() {
+    this.smoother.reset();
+    super.dispose();
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,190 @@
+// public/js/sources.js
+// Where frames come from. Every source exposes `el`, the element runners read from and the
+// compositor draws: the stage <video> for webcam, video files and screen capture, or a canvas
+// holding a still image. Files make runs reproducible: everyone can benchmark the same clip.
+import { setupWebcam, videoConstraints, trackSettings } from "./webcam.js";
+
+export const SOURCE_KINDS = ['webcam', 'image', 'video', 'screen'];
+
+/** Which file-backed kind a File maps to ('image' | 'video'), or null. */
+export function kindForFile(file) {
+  if (file?.type?.startsWith('image/')) return 'image';
+  if (file?.type?.startsWith('video/')) return 'video';
+  return null;
+}
+
+// Reset the shared <video> before handing it to another source
+function resetVideo(videoEl) {
+  const stream = videoEl.srcObject;
+  if (stream && typeof stream.getTracks === 'function') stream.getTracks().forEach(t => t.stop());
+  videoEl.srcObject = null;
+  if (videoEl.src) {
+    URL.revokeObjectURL(videoEl.src);
+    videoEl.removeAttribute('src');
+    videoEl.load();
+  }
+  videoEl.loop = false;
+}
+
+function whenReady(videoEl) {
+  return new Promise((res, rej) => {
+    if (videoEl.readyState >= 2) return res();
+    videoEl.onloadeddata = () => res();
+    videoEl.onerror = () => rej(new Error(`Cannot play source: ${videoEl.error?.message || 'unsupported format'}`));
+  });
+}
+
+class Source {
+  constructor(kind, el, label) {
+    this.kind = kind;
+    this.el = el;
+    this.label = label;
+    this.live = kind === 'webcam' || kind === 'screen'; // holds a capture device
+  }
+
+  get isVideo() {
+    return this.el instanceof HTMLVideoElement;
+  }
+
+  get width() {
+    return this.el.videoWidth || this.el.width || 0;
+  }
+
+  get height() {
+    return this.el.videoHeight || this.el.height || 0;
+  }
+
+  describe() {
+    return `${this.label} • ${this.width}×${this.height}`;
+  }
+
+  stop() {
+    if (this.isVideo) resetVideo(this.el);
+  }
+}
+
+/** Video file source: loops, and can be paused and stepped frame by frame. */
+class VideoFileSource extends Source {
+  constructor(el, label, fps = 30) {
+    super('video', el, label);
+    this.fps = fps; // frame-step size; browsers don't expose the clip's real frame rate
+  }
+
+  get paused() {
+    return this.el.paused;
+  }
+
+  async setPlaying(play) {
+    if (play) await this.el.play();
+    else this.el.pause();
+  }
+
+  /** Pause and advance by `frames` (negative steps back). Resolves once the new frame is decoded. */
+  step(frames = 1) {
+    const v = this.el;
+    v.pause();
+    const t = Math.min(Math.max(0, v.currentTime + frames / this.fps), v.duration || Infinity);
+    return new Promise((res) => {
+      v.addEventListener('seeked', () => res(), { once: true });
+      v.currentTime = t;
+    });
+  }
+
+  describe() {
+    return `${super.describe()} • ${this.el.paused ? 'paused' : 'looping'} @ ${this.el.currentTime.toFixed(2)} s`;
+  }
+}
+
+/**
+ * Webcam source. update() switches camera/resolution/frame rate live: same device -> the track's
+ * applyConstraints(); another device or facing mode -> a new stream on the same <video>.
+ */
+class WebcamSource extends Source {
+  constructor(el, constraints) {
+    super('webcam', el, 'webcam');
+    this.constraints = constraints; // { deviceId, facingMode, width, height, frameRate }
+  }
+
+  get settings() {
+    return trackSettings(this.el);
+  }
+
+  async update(next) {
+    const prev = this.constraints;
+    this.constraints = { ...next };
+    const sameDevice = (next.deviceId || '') === (prev.deviceId || '') && (next.facingMode || '') === (prev.facingMode || '');
+    const track = this.el.srcObject?.getVideoTracks?.()[0];
+    if (sameDevice && track?.applyConstraints) {
+      try {
+        const { deviceId, facingMode, ...rest } = videoConstraints(next);
+        await track.applyConstraints(rest);
+        return;
+      } catch (e) {
+        console.warn('[sources] applyConstraints failed; reopening camera.', e);
+      }
+    }
+    resetVideo(this.el);
+    await setupWebcam(this.el, next);
+  }
+
+  describe() {
+    const s = this.settings;
+    if (!s) return super.describe();
+    const fps = s.frameRate ? ` @ ${Math.round(s.frameRate)} fps` : '';
+    const facing = s.facingMode ? ` • ${s.facingMode}` : '';
+    const name = this.el.srcObject?.getVideoTracks?.()[0]?.label || this.label;
+    return `${name} • ${s.width}×${s.height}${fps}${facing}`;
+  }
+}
+
+export async function openWebcam(videoEl, constraints = { width: 640, height: 480 }) {
+  resetVideo(videoEl);
+  await setupWebcam(videoEl, constraints);
+  return new WebcamSource(videoEl, constraints);
+}
+
+export async function openScreen(videoEl) {
+  if (!navigator.mediaDevices?.getDisplayMedia) throw new Error('Screen capture is not supported in this browser.');
+  const stream = await navigator.mediaDevices.getDisplayMedia({ video: true, audio: false });
+  resetVideo(videoEl);
+  videoEl.srcObject = stream;
+  await videoEl.play();
+  await whenReady(videoEl);
+  return new Source('screen', videoEl, 'screen capture');
+}
+
+export async function openVideoFile(videoEl, file) {
+  resetVideo(videoEl);
+  Object.assign(videoEl, { src: URL.createObjectURL(file), loop: true, muted: true });
+  await videoEl.play();
+  await whenReady(videoEl);
+  return new VideoFileSource(videoEl, file.name);
+}
+
+/** Still image drawn at its natural size into `canvasEl`, which becomes the frame source. */
+export async function openImage(canvasEl, file) {
+  const bitmap = await createImageBitmap(file);
+  canvasEl.width = bitmap.width;
+  canvasEl.height = bitmap.height;
+  canvasEl.getContext('2d').drawImage(bitmap, 0, 0);
+  bitmap.close();
+  return new Source('image', canvasEl, file.name);
+}
+
+/**
+ * Open a source by kind. `file` is required for 'image' and 'video'.
+ * els: { videoEl, canvasEl } – the stage <video> and the still-image canvas.
+ */
+export async function openSource(kind, { videoEl, canvasEl, file, constraints } = {}) {
+  switch (kind) {
+    case 'webcam': return openWebcam(videoEl, constraints);
+    case 'screen': return openScreen(videoEl);
+    case 'video':
+      if (!file) throw new Error('Choose a video file first.');
+      return openVideoFile(videoEl, file);
+    case 'image':
+      if (!file) throw new Error('Choose an image file first.');
+      return openImage(canvasEl, file);
+    default: throw new Error(`Unknown source "${kind}"`);
+  }
+}
@@ -0,0 +1,33 @@
+// public/js/stage_timer.js
+// Per-stage latency of one run(): preprocess (fromPixels/resize/normalize), execute (LiteRT),
+// postprocess (GPU argmax/softmax/topK and CPU work such as label mapping or NMS), readback
+// (data()) and draw. Each mark() first waits for queued GPU work (the fence), so GPU time is
+// charged to the stage that enqueued it rather than to whichever stage reads the result back.
+export const STAGES = ['preprocess', 'execute', 'postprocess', 'readback', 'draw'];
+
+export class StageTimer {
+  constructor(fence = null) {
+    this.fence = fence;
+    this.stages = {};
+    this.t = performance.now();
+  }
+
+  /** Close the current stage as `name` (stages may be marked more than once; times add up). */
+  async mark(name) {
+    if (this.fence) await this.fence();
+    const now = performance.now();
+    this.stages[name] = (this.stages[name] || 0) + (now - this.t);
+    this.t = now;
+  }
+}
+
+/**
+ * Fence for the TFJS WebGPU backend (LiteRT runs on the same device): submit TFJS's batched
+ * commands, then wait until the queue has drained.
+ */
+export function webGpuFence(backend) {
+  return async () => {
+    backend.submitQueue?.();
+    await backend.device.queue.onSubmittedWorkDone();
+  };
+}
@@ -0,0 +1,171 @@
+// public/js/sustained.js
+// Sustained-load benchmark: run one runner back to back for minutes, so Arm SoCs reach their
+// thermal limits. Latencies are bucketed into ~120 time windows (the curve); throughput over the
+// first minute is compared with the last 20% of the run (steady state). Battery level comes from
+// the Battery Status API where the browser has it, and a screen wake lock keeps the device awake.
+import { summarize } from "./bench_stats.js";
+
+const INITIAL_MS = 60_000;      // "initial" throughput: first minute (or first 20% of shorter runs)
+const STEADY_FRACTION = 0.2;    // "steady state": last 20% of the run
+
+async function batteryManager() {
+  try {
+    return (await navigator.getBattery?.()) || null;
+  } catch {
+    return null; // not exposed (Firefox/Safari) or blocked by permissions policy
+  }
+}
+
+async function wakeLock() {
+  try {
+    return (await navigator.wakeLock?.request('screen')) || null;
+  } catch {
+    return null; // page not visible, or not supported
+  }
+}
+
+// Throughput over samples with start times in [from, to)
+function fpsBetween(samples, from, to) {
+  const sel = samples.filter(s => s.t >= from && s.t < to);
+  if (sel.length < 2) return NaN;
+  const span = sel[sel.length - 1].t + sel[sel.length - 1].ms - sel[0].t;
+  return span > 0 ? (sel.length * 1000) / span : NaN;
+}
+
+/**
+ * Run `runner` on `getFrame()` for `durationMs`. `onWindow(point, result)` fires after each time
+ * window (for live plotting); `shouldStop()` ends the run early.
+ * Resolves to { durationMs, latencies, samples: [{ t, ms }], timeline: [{ t, p50, fps, battery }],
+ * initialFps, steadyFps, steadyRatio, battery: { start, end, charging, drainPerHour } | null }.
+ */
+export async function runSustained({ runner, getFrame, durationMs, onWindow, shouldStop }) {
+  const windowMs = Math.max(2000, durationMs / 120);
+  const battery = await batteryManager();
+  const lock = await wakeLock();
+  const result = {
+    durationMs: 0,
+    windowMs,
+    samples: [],
+    timeline: [],
+    battery: battery ? { start: battery.level, end: battery.level, charging: battery.charging, drainPerHour: NaN } : null,
+  };
+
+  const t0 = performance.now();
+  let windowStart = 0, windowSamples = [];
+  try {
+    while (!shouldStop?.()) {
+      const s0 = performance.now();
+      await runner.run(getFrame());
+      const now = performance.now();
+      const sample = { t: s0 - t0, ms: now - s0 };
+      result.samples.push(sample);
+      windowSamples.push(sample.ms);
+
+      if (now - t0 - windowStart >= windowMs) {
+        const stats = summarize(windowSamples);
+        const point = { t: windowStart + windowMs / 2, p50: stats.p50, fps: (windowSamples.length * 1000) / (now - t0 - windowStart), battery: battery?.level ?? null };
+        result.timeline.push(point);
+        onWindow?.(point, result);
+        windowStart = now - t0;
+        windowSamples = [];
+      }
+      if (now - t0 >= durationMs) break;
+    }
+  } finally {
+    await lock?.release?.().catch(() => {});
+  }
+
+  const elapsed = performance.now() - t0;
+  result.durationMs = elapsed;
+  result.latencies = result.samples.map(s => s.ms);
+  result.initialFps = fpsBetween(result.samples, 0, Math.min(INITIAL_MS, elapsed * STEADY_FRACTION));
+  result.steadyFps = fpsBetween(result.samples, elapsed * (1 - STEADY_FRACTION), Infinity);
+  result.steadyRatio = result.steadyFps / result.initialFps;
+  if (battery) {
+    Object.assign(result.battery, { end: battery.level, charging: battery.charging });
+    result.battery.drainPerHour = ((result.battery.start - battery.level) * 100) / (elapsed / 3_600_000); // % per hour
+  }
+  return result;
+}
+
+/** Idle for `ms` (cool-down between backends), still honoring `shouldStop()`. */
+export async function coolDown(ms, shouldStop) {
+  const end = performance.now() + ms;
+  while (performance.now() < end && !shouldStop?.()) await new Promise(r => setTimeout(r, 500));
+}
+
+const SERIES_COLORS = ['#ffb86b', '#7fb3ff', '#c792ea'];
+
+/**
+ * Latency-over-time chart: one p50 line per series ({ name, timeline }), time in minutes on x.
+ * Battery level (dashed, right axis) is drawn for series that have it.
+ */
+export function drawSustainedChart(canvas, series) {
+  const dpr = window.devicePixelRatio || 1;
+  const W = canvas.clientWidth || 640, H = 220;
+  const PAD = { l: 44, r: 40, t: 12, b: 26 };
+  canvas.width = Math.round(W * dpr);
+  canvas.height = Math.round(H * dpr);
+  canvas.style.height = `${H}px`;
+  const ctx = canvas.getContext('2d');
+  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  ctx.clearRect(0, 0, W, H);
+
+  const points = series.flatMap(s => s.timeline);
+  if (!points.length) return;
+  const maxT = Math.max(...points.map(p => p.t)) || 1;
+  const maxMs = Math.max(...points.map(p => p.p50).filter(Number.isFinite)) * 1.1 || 1;
+  const x = (t) => PAD.l + (t / maxT) * (W - PAD.l - PAD.r);
+  const y = (ms) => H - PAD.b - (ms / maxMs) * (H - PAD.t - PAD.b);
+  const yBattery = (level) => H - PAD.b - level * (H - PAD.t - PAD.b);
+
+  // axes
+  ctx.strokeStyle = '#26336a';
+  ctx.fillStyle = '#9fb0dd';
+  ctx.font = '11px system-ui, sans-serif';
+  ctx.beginPath();
+  ctx.moveTo(PAD.l, PAD.t);
+  ctx.lineTo(PAD.l, H - PAD.b);
+  ctx.lineTo(W - PAD.r, H - PAD.b);
+  ctx.stroke();
+  ctx.textAlign = 'right';
+  ctx.textBaseline = 'middle';
+  for (let i = 0; i <= 4; i++) ctx.fillText((maxMs * i / 4).toFixed(0), PAD.l - 4, y(maxMs * i / 4));
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'top';
+  for (let i = 0; i <= 4; i++) ctx.fillText(`${(maxT * i / 4 / 60000).toFixed(1)} min`, x(maxT * i / 4), H - PAD.b + 6);
+  ctx.save();
+  ctx.translate(10, (PAD.t + H - PAD.b) / 2);
+  ctx.rotate(-Math.PI / 2);
+  ctx.fillText('p50 ms', 0, 0);
+  ctx.restore();
+
+  series.forEach((s, i) => {
+    const color = SERIES_COLORS[i % SERIES_COLORS.length];
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 1.5;
+    ctx.setLineDash([]);
+    ctx.beginPath();
+    s.timeline.forEach((p, j) => (j ? ctx.lineTo(x(p.t), y(p.p50)) : ctx.moveTo(x(p.t), y(p.p50))));
+    ctx.stroke();
+    if (s.timeline.some(p => p.battery !== null)) {
+      ctx.setLineDash([4, 3]);
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      s.timeline.forEach((p, j) => (j ? ctx.lineTo(x(p.t), yBattery(p.battery)) : ctx.moveTo(x(p.t), yBattery(p.battery))));
+      ctx.stroke();
+    }
+    ctx.fillStyle = color;
+    ctx.textAlign = 'left';
+    ctx.fillText(s.name, PAD.l + 8 + i * 110, PAD.t);
+  });
+  ctx.setLineDash([]);
+  ctx.fillStyle = '#9fb0dd';
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'middle';
+  if (series.some(s => s.timeline.some(p => p.battery !== null))) {
+    ctx.fillText('100%', W - PAD.r + 4, yBattery(1));
+    ctx.fillText('battery', W - PAD.r + 4, yBattery(0.5));
+    ctx.fillText('0%', W - PAD.r + 4, yBattery(0));
+  }
+}
@@ -0,0 +1,67 @@
+// public/js/temporal_filter.js
+// Temporal smoothing for per-pixel foreground probabilities ([H,W] tensors, 0..1), so mask edges
+// don't flicker from frame to frame. Runs on the TFJS backend at model resolution.
+//   'ema'    – out = s * prev + (1 - s) * cur
+//   'motion' – same, but s drops towards 0 where the (downsampled) frame changed, so moving
+//              people aren't smeared while static edges stay stable
+import * as tf from "@tensorflow/tfjs";
+
+export const SMOOTHING_MODES = ['off', 'ema', 'motion'];
+
+export class TemporalFilter {
+  constructor({ mode = 'off', strength = 0.6, motionGain = 8 } = {}) {
+    this.mode = mode;
+    this.strength = strength;     // 0..0.95, weight of the previous frame
+    this.motionGain = motionGain; // frame difference (0..1) that counts as "fully moving" = 1 / motionGain
+    this.prev = null;             // last output [H,W]
+    this.prevFrame = null;        // last grayscale frame [H,W] ('motion' only)
+  }
+
+  get enabled() {
+    return this.mode !== 'off' && this.strength > 0;
+  }
+
+  /**
+   * prob: [H,W] float; gray: [h,w] grayscale frame in 0..1 (needed for 'motion').
+   * Returns the smoothed [H,W] tensor. Call inside tf.tidy(); state is kept across frames.
+   */
+  apply(prob, gray) {
+    if (!this.enabled) return prob;
+    if (this.prev && !tf.util.arraysEqual(this.prev.shape, prob.shape)) this.reset();
+
+    const s = Math.min(0.95, Math.max(0, this.strength));
+    let w = tf.scalar(s);
+    if (this.mode === 'motion' && gray) {
+      const g = tf.util.arraysEqual(gray.shape, prob.shape)
+        ? gray
+        : tf.image.resizeBilinear(gray.expandDims(-1), prob.shape).squeeze([-1]);
+      if (this.prevFrame) {
+        const motion = g.sub(this.prevFrame).abs().mul(this.motionGain).minimum(1);
+        w = tf.scalar(1).sub(motion).mul(s);
+      }
+      this.prevFrame?.dispose();
+      this.prevFrame = tf.keep(g.clone());
+    }
+
+    const out = this.prev ? this.prev.mul(w).add(prob.mul(tf.scalar(1).sub(w))) : prob;
+    this.prev?.dispose();
+    this.prev = tf.keep(out.clone());
+    return out;
+  }
+
+  /** Change mode/strength live; switching modes drops the history. */
+  configure({ mode, strength } = {}) {
+    if (mode !== undefined && mode !== this.mode) {
+      this.mode = mode;
+      this.reset();
+    }
+    if (strength !== undefined) this.strength = strength;
+  }
+
+  reset() {
+    this.prev?.dispose();
+    this.prevFrame?.dispose();
+    this.prev = null;
+    this.prevFrame = null;
+  }
+}
@@ -0,0 +1,76 @@
+// public/js/unattended.js
+// Unattended benchmarks for lab devices: the page reads its settings from the URL, runs the
+// matrix (bench_matrix.js) on a fixture instead of the webcam and POSTs the report to the
+// result sink in vite.config.js, so a script only has to open URLs.
+//
+//   ?bench=all | <task>[,<task>...]    turns the mode on; tasks from models.json
+//   &source=/fixtures/clip.mp4           image/video fixture URL (default: webcam)
+//   &backend=webgpu | wasm | all         (default: all)
+//   &runs=50 &warmup=5                   per cell (default: each task's "bench" settings)
+//   &res=640x480,1280x720                input scales the frame is resized to (default: the run-all set)
+//   &device=rk3588 &note=driver-24.1     tags stored with the results
+//   &sink=/api/bench-results | none      where to POST the report (default: the dev/preview server)
+//
+// Progress is mirrored on <body data-bench="running|done|error"> for scripts that poll the page.
+import { MATRIX_BACKENDS, MATRIX_SCALES } from "./bench_matrix.js";
+
+export const DEFAULT_SINK = '/api/bench-results';
+
+const positiveInt = (v) => (v && Number.isInteger(+v) && +v > 0 ? +v : undefined);
+const nonNegativeInt = (v) => (v && Number.isInteger(+v) && +v >= 0 ? +v : undefined); // '' and '-1' are not 0
+
+/** Benchmark settings from the query string, or null when `bench` is absent. Throws on bad values. */
+export function parseBenchParams(search = location.search, taskIds = []) {
+  const q = new URLSearchParams(search);
+  const bench = q.get('bench');
+  if (!bench) return null;
+
+  const tasks = bench === 'all' ? taskIds : bench.split(',').map(s => s.trim()).filter(Boolean);
+  const unknown = tasks.filter(t => !taskIds.includes(t));
+  if (unknown.length) throw new Error(`bench: unknown task(s) ${unknown.join(', ')} (have ${taskIds.join(', ')})`);
+
+  const backend = q.get('backend') || 'all';
+  const backends = backend === 'all' ? MATRIX_BACKENDS : backend.split(',');
+  if (backends.some(b => !MATRIX_BACKENDS.includes(b))) throw new Error(`backend must be ${MATRIX_BACKENDS.join(', ')} or all`);
+
+  let scales = MATRIX_SCALES;
+  if (q.get('res')) {
+    scales = q.get('res').split(',').map(s => s.split('x').map(Number));
+    if (scales.some(r => r.length !== 2 || !r.every(n => Number.isInteger(n) && n > 0))) throw new Error('res must look like 640x480,1280x720');
+  }
+
+  return {
+    tasks,
+    backends,
+    scales,
+    source: q.get('source') || null,
+    runs: positiveInt(q.get('runs')),
+    warmup: nonNegativeInt(q.get('warmup')),
+    tags: { device: q.get('device') || '', note: q.get('note') || '' },
+    sink: q.get('sink') === 'none' ? null : (q.get('sink') || DEFAULT_SINK),
+  };
+}
+
+/** Fetch a fixture URL as a File, so it opens through the same path as a picked file. */
+export async function fetchFixture(url) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`Fixture not found: ${url} (HTTP ${res.status})`);
+  const blob = await res.blob();
+  const name = decodeURIComponent(new URL(url, location.href).pathname.split('/').pop() || 'fixture');
+  return new File([blob], name, { type: blob.type });
+}
+
+/** POST { tags, report } to the sink; resolves to its reply ({ file } from the Vite sink). */
+export async function postReport(sink, report, tags) {
+  const res = await fetch(sink, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ tags, report }),
+  });
+  if (!res.ok) throw new Error(`Result sink ${sink} answered HTTP ${res.status}: ${await res.text()}`);
+  return res.json();
+}
+
+export function setBenchState(state) {
+  document.body.dataset.bench = state;
+}
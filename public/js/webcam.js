@@ -1,9 +1,37 @@
-export async function setupWebcam(videoEl, { width = 640, height = 480 } = {}) {
-  const stream = await navigator.mediaDevices.getUserMedia({ video: { width, height }, audio: false });
+// public/js/webcam.js
+// Camera capture. Resolution and frame rate are requested as `ideal` so the browser picks the
+// closest mode the camera supports; read the result back with trackSettings().
+
+/** getUserMedia video constraints from { deviceId, facingMode, width, height, frameRate }. */
+export function videoConstraints({ deviceId, facingMode, width = 640, height = 480, frameRate } = {}) {
+  const video = { width: { ideal: width }, height: { ideal: height } };
+  if (deviceId) video.deviceId = { exact: deviceId };
+  else if (facingMode) video.facingMode = { ideal: facingMode }; // front/back on mobile
+  if (frameRate) video.frameRate = { ideal: frameRate };
+  return video;
+}
+
+export async function setupWebcam(videoEl, options = {}) {
+  const stream = await navigator.mediaDevices.getUserMedia({ video: videoConstraints(options), audio: false });
   videoEl.srcObject = stream;
   await videoEl.play();
   return new Promise(res => {
     if (videoEl.readyState >= 2) return res();
     videoEl.onloadeddata = () => res();
   });
-}
\ No newline at end of file
+}
+
+/** Video inputs as [{ deviceId, label }]. Labels are empty until camera permission is granted. */
+export async function listCameras() {
+  if (!navigator.mediaDevices?.enumerateDevices) return [];
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  return devices
+    .filter(d => d.kind === 'videoinput')
+    .map((d, i) => ({ deviceId: d.deviceId, label: d.label || `Camera ${i + 1}` }));
+}
+
+/** Negotiated settings of the element's video track ({ width, height, frameRate, deviceId, facingMode, ... }). */
+export function trackSettings(videoEl) {
+  const track = videoEl.srcObject?.getVideoTracks?.()[0];
+  return track ? track.getSettings() : null;
+}
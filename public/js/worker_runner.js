@@ -0,0 +1,152 @@
+// public/js/worker_runner.js
+// Main-thread proxy for a runner hosted in inference_worker.js. Exposes the surface the render
+// loop and benchmarks use (init/run/type/backendName/describeBackend and the live setters), so
+// main.js can swap it in for a regular runner. Frames go over as transferred VideoFrames (or
+// ImageBitmaps); with a canvas, segmentation overlays are drawn by the worker into an
+// OffscreenCanvas and run() only returns { rendered: true, present }.
+import { getTask } from "./registry.js";
+
+export class WorkerRunner {
+  /**
+   * taskId/options are what createRunner() takes (the task entry is sent along, so tasks
+   * registered at runtime, like a custom model, work too); `canvas` is an HTMLCanvasElement whose
+   * control is transferred to the worker (segmenters only, one-shot per canvas).
+   */
+  constructor(taskId, options = {}, { canvas = null } = {}) {
+    this.taskId = taskId;
+    this.options = options;
+    this.canvas = canvas;
+    this.worker = new Worker(new URL('./inference_worker.js', import.meta.url), { type: 'module' });
+    this.worker.onmessage = ({ data }) => this._onMessage(data);
+    this.worker.onerror = (e) => this._failAll(new Error(e.message || 'inference worker failed'));
+
+    this.type = '';
+    this.backendName = '';
+    this.accelerator = options.accelerator;
+    this.fallbackReason = null;
+    this.compileLog = [];
+    this.rendersOverlay = false;
+    this.background = null;   // replacement background (video ones are re-sent every frame)
+    this.lastRunMs = 0;       // inference time inside the worker, last frame
+    this.lastTimings = null;  // per-stage timings from the worker (when profiling), incl. its draw
+    this._profile = false;
+    this._scoreThreshold = options.overrides?.scoreThreshold;
+    this._nextId = 1;
+    this._pending = new Map();
+    this._busy = false;
+  }
+
+  _onMessage({ id, type, message, ...reply }) {
+    const p = this._pending.get(id);
+    if (!p) return;
+    this._pending.delete(id);
+    if (type === 'error') p.reject(new Error(message));
+    else p.resolve(reply);
+  }
+
+  _failAll(err) {
+    for (const p of this._pending.values()) p.reject(err);
+    this._pending.clear();
+  }
+
+  _call(type, payload = {}, transfer = []) {
+    const id = this._nextId++;
+    return new Promise((resolve, reject) => {
+      this._pending.set(id, { resolve, reject });
+      this.worker.postMessage({ id, type, ...payload }, transfer);
+    });
+  }
+
+  async init() {
+    const offscreen = this.canvas ? this.canvas.transferControlToOffscreen() : null;
+    const info = await this._call('init', { task: typeof this.taskId === 'string' ? getTask(this.taskId) : this.taskId, options: this.options, canvas: offscreen }, offscreen ? [offscreen] : []);
+    this.type = info.runnerType;
+    this.backendName = info.backendName;
+    this.accelerator = info.accelerator;
+    this.fallbackReason = info.fallbackReason;
+    this.compileLog = info.compileLog || [];
+    this.rendersOverlay = info.rendersOverlay;
+  }
+
+  describeBackend() {
+    const base = this.fallbackReason ? `${this.backendName} (fallback: ${this.fallbackReason})` : this.backendName;
+    return `${base} in worker`;
+  }
+
+  /**
+   * Send one frame. Resolves to the runner's result, or null when the previous frame is still
+   * in flight (frames are dropped rather than queued).
+   */
+  async run(source, { alpha = 0.5 } = {}) {
+    if (this._busy) return null;
+    this._busy = true;
+    try {
+      const frame = await grabFrame(source);
+      const transfer = [frame];
+      let background;
+      if (this.background instanceof HTMLVideoElement && this.background.readyState >= 2) {
+        background = await createImageBitmap(this.background);
+        transfer.push(background);
+      }
+      const { result, ms, timings } = await this._call('frame', { frame, alpha, background }, transfer);
+      this.lastRunMs = ms;
+      this.lastTimings = timings;
+      return result;
+    } finally {
+      this._busy = false;
+    }
+  }
+
+  get scoreThreshold() {
+    return this._scoreThreshold;
+  }
+
+  set scoreThreshold(v) {
+    this._scoreThreshold = v;
+    this._call('set', { props: { scoreThreshold: v } }).catch(console.error);
+  }
+
+  get profile() {
+    return this._profile;
+  }
+
+  set profile(v) {
+    this._profile = !!v;
+    this._call('set', { props: { profile: this._profile } }).catch(console.error);
+  }
+
+  setMaskOptions(mask) {
+    this._call('set', { props: { mask } }).catch(console.error);
+  }
+
+  setEffect(effect) {
+    this._call('set', { props: { effect } }).catch(console.error);
+  }
+
+  async setBackground(source) {
+    this.background = source || null;
+    // still images are sent once; videos ride along with every frame
+    const still = source && !(source instanceof HTMLVideoElement) ? await createImageBitmap(source) : null;
+    await this._call('set', { props: { background: still } }, still ? [still] : []);
+  }
+
+  async dispose() {
+    try {
+      await this._call('dispose');
+    } catch {}
+    this.worker.terminate();
+    this._failAll(new Error('worker disposed'));
+  }
+}
+
+// VideoFrame where supported (no copy through a canvas), otherwise an ImageBitmap
+async function grabFrame(source) {
+  if (typeof VideoFrame !== 'undefined' && source instanceof HTMLVideoElement) {
+    try {
+      return new VideoFrame(source);
+    } catch {
+      // no decoded frame yet, or unsupported source – fall through
+    }
+  }
+  return createImageBitmap(source);
+}
@@ -0,0 +1,63 @@
+// public/sw.js
+// Service worker: the app keeps working offline after the first visit.
+//  - models, label files and the LiteRT / TFJS wasm runtimes: cache first, in the cache that
+//    js/model_cache.js also uses (it revalidates models itself, with `cache: 'no-cache'` requests
+//    that skip the copy here)
+//  - everything else from this origin (page, scripts, styles): network first, cached copy offline
+// Only plain GETs are handled; HEAD revalidation, range requests (video fixtures), evaluation
+// images (public/eval/, often thousands of files) and the bench-results POST go straight to the network.
+const APP_CACHE = 'litert-app-v1';
+const MODEL_CACHE = 'litert-models-v1'; // keep in sync with js/model_cache.js
+const CACHE_FIRST = [/^\/models\//, /^\/wasm\//, /^\/tfwasm\//];
+
+self.addEventListener('install', (event) => {
+  self.skipWaiting();
+  event.waitUntil(caches.open(APP_CACHE).then(c => c.addAll(['/', '/index.html'])).catch(() => {}));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const stale = (await caches.keys()).filter(n => n.startsWith('litert-app-') && n !== APP_CACHE);
+    await Promise.all(stale.map(n => caches.delete(n)));
+    await self.clients.claim();
+  })());
+});
+
+// Full 200 responses only (the Cache API rejects 206, and opaque/error responses aren't worth keeping)
+async function store(cacheName, req, res) {
+  if (res.status !== 200) return;
+  const cache = await caches.open(cacheName);
+  await cache.put(req, res);
+}
+
+async function cacheFirst(req) {
+  const bypass = req.cache === 'no-cache' || req.cache === 'reload' || req.cache === 'no-store';
+  if (!bypass) {
+    const hit = await caches.match(req, { cacheName: MODEL_CACHE });
+    if (hit) return hit;
+  }
+  const res = await fetch(req);
+  if (!bypass) await store(MODEL_CACHE, req, res.clone()); // model_cache.js stores its own fetches
+  return res;
+}
+
+async function networkFirst(req) {
+  try {
+    const res = await fetch(req);
+    await store(APP_CACHE, req, res.clone());
+    return res;
+  } catch (e) {
+    const hit = await caches.match(req, { cacheName: APP_CACHE }) ||
+      (req.mode === 'navigate' ? await caches.match('/index.html', { cacheName: APP_CACHE }) : null);
+    if (hit) return hit;
+    throw e;
+  }
+}
+
+self.addEventListener('fetch', (event) => {
+  const req = event.request;
+  const url = new URL(req.url);
+  if (req.method !== 'GET' || url.origin !== self.location.origin) return;
+  if (url.pathname.startsWith('/api/') || url.pathname.startsWith('/eval/') || req.headers.has('range')) return;
+  event.respondWith(CACHE_FIRST.some(re => re.test(url.pathname)) ? cacheFirst(req) : networkFirst(req));
+});
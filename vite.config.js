@@ -1,10 +1,83 @@
 // vite.config.js
 import { defineConfig } from 'vite';
+import { readFileSync } from 'node:fs';
+import { mkdir, writeFile } from 'node:fs/promises';
+
+// Installed LiteRT.js version, stamped into benchmark reports (and default baseline tags)
+function litertVersion() {
+  try {
+    return JSON.parse(readFileSync(new URL('./node_modules/@litertjs/core/package.json', import.meta.url))).version;
+  } catch {
+    return 'unknown';
+  }
+}
+
+// Result sink for unattended benchmarks (public/js/unattended.js): POST /api/bench-results with
+// { tags, report } writes bench-results/<time>-<device>-<kind>-<task>.json and answers { file }.
+// A null report with tags.error records a failed run. Available on `vite` and `vite preview`.
+const RESULTS_DIR = new URL('./bench-results/', import.meta.url);
+const MAX_BODY = 32 * 1024 * 1024;
+
+function benchResultsSink() {
+  const slug = (s) => String(s || '').replace(/[^\w.-]+/g, '_').slice(0, 40);
+
+  async function handler(req, res) {
+    const reply = (status, body) => {
+      res.statusCode = status;
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(body));
+    };
+    if (req.method !== 'POST') return reply(405, { error: 'POST { tags, report } here' });
+
+    let body = '';
+    for await (const chunk of req) {
+      body += chunk;
+      if (body.length > MAX_BODY) return reply(413, { error: 'result too large' });
+    }
+    let payload;
+    try {
+      payload = JSON.parse(body);
+    } catch {
+      return reply(400, { error: 'body is not JSON' });
+    }
+    const { tags = {}, report = null } = payload || {};
+    if (!report && !tags.error) return reply(400, { error: 'expected { tags, report }' });
+
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const name = [stamp, slug(tags.device) || 'device', report ? `${slug(report.kind)}-${slug(report.task)}` : 'error'].join('-') + '.json';
+    await mkdir(RESULTS_DIR, { recursive: true });
+    await writeFile(new URL(name, RESULTS_DIR), JSON.stringify({ receivedAt: new Date().toISOString(), tags, report }, null, 2));
+    reply(200, { file: `bench-results/${name}` });
+  }
+
+  const mount = (server) => server.middlewares.use('/api/bench-results', (req, res) => {
+    handler(req, res).catch((e) => {
+      res.statusCode = 500;
+      res.end(JSON.stringify({ error: String(e?.message || e) }));
+    });
+  });
+  return { name: 'bench-results-sink', configureServer: mount, configurePreviewServer: mount };
+}
+
+// public/sw.js isn't referenced from index.html, so copy it into the build next to it
+function serviceWorker() {
+  return {
+    name: 'service-worker',
+    apply: 'build',
+    generateBundle() {
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source: readFileSync(new URL('./public/sw.js', import.meta.url), 'utf8') });
+    },
+  };
+}
 
 export default defineConfig({
   root: 'public',
   build: { outDir: '../dist', emptyOutDir: true },
   assetsInclude: ['**/*.wasm'],
+  define: { __LITERT_VERSION__: JSON.stringify(litertVersion()) },
+  // inference_worker.js is a module worker that lazy-loads runners
+  worker: { format: 'es' },
+  plugins: [benchResultsSink(), serviceWorker()],
   server: {
     headers: {
       'Cross-Origin-Opener-Policy': 'same-origin',
@@ -14,4 +87,12 @@ export default defineConfig({
     host: true,
     port: 5173,
   },
+  // `vite preview` serves the build; same isolation headers so WASM threads stay available
+  preview: {
+    headers: {
+      'Cross-Origin-Opener-Policy': 'same-origin',
+      'Cross-Origin-Embedder-Policy': 'require-corp'
+    },
+    host: true,
+  },
 });
\ No newline at end of file